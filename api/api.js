@@ -1,6 +1,4 @@
-const axios = require("axios");
-module.exports = axios.create({
-  baseURL: "http://127.0.0.1:8000",
-});
-
+const { BackendClient } = require("./backendClient");
 
+// Shared client for the generation backend, configured from `perlCodeGeneration.backend.*`
+module.exports = new BackendClient("perlCodeGeneration.apiToken");
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE = 'completion-cache.json';
+const CACHE_VERSION = 1;
+const SAVE_DELAY = 1000;
+
+/**
+ * LRU cache of generated completions, persisted as JSON in the extension's
+ * global storage so answers survive a window reload
+ */
+class CompletionCache {
+  /**
+   * @param {string} storagePath - Extension global storage directory
+   * @param {object} [options] - enabled, maxEntries, ttlMs
+   */
+  constructor(storagePath, options = {}) {
+    this.filePath = path.join(storagePath, CACHE_FILE);
+    this.entries = new Map(); // key -> { value, createdAt }, least recently used first
+    this.saveTimer = null;
+    this.configure(options);
+  }
+
+  /**
+   * Builds a cache key from everything that influences the generated code
+   * @param {object} parts - comment, context (surrounding code) and backend identity
+   * @returns {string} sha256 hex digest
+   */
+  static createKey({ comment, context, backend }) {
+    const contextHash = crypto.createHash('sha256').update(context || '').digest('hex');
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([comment.trim(), contextHash, backend]))
+      .digest('hex');
+  }
+
+  /**
+   * Applies size and TTL limits
+   * @param {object} options - enabled, maxEntries, ttlMs (0 = no expiry)
+   */
+  configure({ enabled = true, maxEntries = 200, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.enabled = enabled;
+    this.maxEntries = Math.max(1, maxEntries);
+    this.ttlMs = ttlMs;
+    this._evict();
+  }
+
+  /**
+   * Loads persisted entries, dropping expired ones
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (data.version !== CACHE_VERSION || !Array.isArray(data.entries)) return;
+      for (const [key, entry] of data.entries) {
+        if (!this._isExpired(entry)) this.entries.set(key, entry);
+      }
+      this._evict();
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[CompletionCache] Failed to load cache: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} key - Key from createKey
+   * @returns {*} Cached value, or undefined on a miss
+   */
+  get(key) {
+    if (!this.enabled) return undefined;
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (this._isExpired(entry)) {
+      this.entries.delete(key);
+      this._scheduleSave();
+      return undefined;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key - Key from createKey
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    if (!this.enabled) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, createdAt: Date.now() });
+    this._evict();
+    this._scheduleSave();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Removes every entry, in memory and on disk
+   */
+  async clear() {
+    this.entries.clear();
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  /**
+   * Writes pending changes to disk immediately
+   */
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const data = { version: CACHE_VERSION, entries: [...this.entries] };
+      await fs.writeFile(this.filePath, JSON.stringify(data), 'utf8');
+    } catch (err) {
+      console.error(`[CompletionCache] Failed to save cache: ${err.message}`);
+    }
+  }
+
+  _isExpired(entry) {
+    return this.ttlMs > 0 && Date.now() - entry.createdAt > this.ttlMs;
+  }
+
+  _evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  _scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+}
+
+module.exports = { CompletionCache };
@@ -0,0 +1,186 @@
+// Rough token estimate; close enough for code and JSON with the usual BPE tokenizers
+const CHARS_PER_TOKEN = 4;
+// A text section is cut down rather than dropped if at least this much room is left
+const MIN_PARTIAL_TOKENS = 50;
+// Share of the budget the code around the cursor may take when it alone is too large
+const CURSOR_CODE_SHARE = 0.5;
+
+/**
+ * Optional sections of the generation context, most relevant first. Each gets
+ * what is left of the budget after the ones above it:
+ * - text sections are cut at line boundaries, keeping their start
+ * - list and map sections keep the items that fit, in order
+ * - map sections with a `match` only take the entries it accepts, so one
+ *   field can be split across several priorities
+ */
+const SECTIONS = [
+  { name: 'currentBlock', kind: 'text' },
+  { name: 'usedModules', kind: 'list' },
+  { name: 'objectTypes', kind: 'list' },
+  { name: 'visibleVariables', kind: 'list' },
+  {
+    name: 'importDefinitions', label: 'importDefinitions (used)', kind: 'map',
+    match: (key, payload) => isUsedImport(key, payload.usedModules)
+  },
+  { name: 'gitDiff', kind: 'list' },
+  { name: 'criticViolations', kind: 'list' },
+  { name: 'editorSnippets', kind: 'list' },
+  { name: 'imports', kind: 'map' },
+  { name: 'variableDefinitions', kind: 'list' },
+  { name: 'relatedCodeStructures', kind: 'list' },
+  {
+    name: 'importDefinitions', label: 'importDefinitions (other)', kind: 'map',
+    match: (key, payload) => !isUsedImport(key, payload.usedModules)
+  },
+  { name: 'projectStructure', kind: 'text' },
+];
+
+/**
+ * Estimates the number of tokens a context value takes
+ * @param {*} value - String or JSON-serializable value
+ * @returns {number}
+ */
+function estimateTokens(value) {
+  if (value === undefined || value === null) return 0;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Fits a generation context into a token budget. The code around the cursor
+ * is always kept (cut down only when it alone takes more than half the
+ * budget); the optional sections are then added by relevance until the
+ * budget is used up.
+ * @param {object} payload - Context from generateContextForComments
+ * @param {number} maxTokens - Budget; 0 means no limit
+ * @returns {{payload: object, report: {budget: number, usedTokens: number, sections: Array<object>, dropped: Array<object>}}}
+ *   The trimmed payload, and per section its estimated tokens, the tokens kept
+ *   and whether it was kept, truncated or dropped
+ */
+function applyContextBudget(payload, maxTokens) {
+  const result = { ...payload };
+  const sections = [];
+  const startedMaps = new Set();
+  const limit = maxTokens > 0 ? maxTokens : Infinity;
+
+  // Code around the cursor, trimmed away from the cursor
+  const prefixTokens = estimateTokens(payload.codePrefix);
+  const suffixTokens = estimateTokens(payload.codeSuffix);
+  const cursorShare = limit * CURSOR_CODE_SHARE;
+  if (prefixTokens + suffixTokens > cursorShare) {
+    const prefixShare = Math.floor(cursorShare * prefixTokens / (prefixTokens + suffixTokens));
+    result.codePrefix = truncateText(payload.codePrefix || '', prefixShare, 'end');
+    result.codeSuffix = truncateText(payload.codeSuffix || '', Math.floor(cursorShare) - prefixShare, 'start');
+  }
+  sections.push(describe('codePrefix', prefixTokens, estimateTokens(result.codePrefix)));
+  sections.push(describe('codeSuffix', suffixTokens, estimateTokens(result.codeSuffix)));
+
+  let remaining = limit
+    - estimateTokens(result.codePrefix)
+    - estimateTokens(result.codeSuffix)
+    - estimateTokens(payload.fileName);
+
+  for (const section of SECTIONS) {
+    const value = payload[section.name];
+    if (value === undefined || value === null) continue;
+    const label = section.label || section.name;
+
+    if (section.kind === 'text') {
+      const tokens = estimateTokens(value);
+      if (tokens <= remaining) {
+        result[section.name] = value;
+      } else {
+        result[section.name] = remaining >= MIN_PARTIAL_TOKENS ? truncateText(value, remaining, 'start') : '';
+      }
+      const kept = estimateTokens(result[section.name]);
+      remaining -= kept;
+      sections.push(describe(label, tokens, kept));
+    } else if (section.kind === 'list') {
+      const { items, tokens, kept, dropped } = takeItems(value, remaining);
+      result[section.name] = items;
+      remaining -= kept;
+      sections.push(describe(label, tokens, kept, dropped));
+    } else {
+      const entries = Object.entries(value).filter(([key]) => !section.match || section.match(key, payload));
+      if (entries.length === 0) continue;
+      const { items, tokens, kept, dropped } = takeItems(entries, remaining);
+      // Later parts of a split map add to the entries kept by earlier ones
+      const previous = startedMaps.has(section.name) ? result[section.name] : {};
+      startedMaps.add(section.name);
+      result[section.name] = { ...previous, ...Object.fromEntries(items) };
+      remaining -= kept;
+      sections.push(describe(label, tokens, kept, dropped));
+    }
+  }
+
+  const usedTokens = sections.reduce((sum, s) => sum + s.keptTokens, estimateTokens(payload.fileName));
+  return {
+    payload: result,
+    report: {
+      budget: maxTokens,
+      usedTokens,
+      sections,
+      dropped: sections.filter(s => s.status !== 'kept')
+    }
+  };
+}
+
+/**
+ * Formats a budget report for the output channel
+ * @param {object} report - Report from applyContextBudget
+ * @returns {string}
+ */
+function formatBudgetReport(report) {
+  const lines = [`~${report.usedTokens} of ${report.budget || 'unlimited'} tokens`];
+  for (const s of report.sections) {
+    const items = s.droppedItems ? `, ${s.droppedItems} items dropped` : '';
+    lines.push(`  ${s.section}: ${s.status} (~${s.keptTokens} of ${s.tokens} tokens${items})`);
+  }
+  return lines.join('\n');
+}
+
+function describe(section, tokens, keptTokens, droppedItems = 0) {
+  let status = 'kept';
+  if (keptTokens === 0 && tokens > 0) status = 'dropped';
+  else if (keptTokens < tokens) status = 'truncated';
+  return { section, status, tokens, keptTokens, droppedItems };
+}
+
+// Keeps the items that fit, in order; an item too large is skipped for smaller ones after it
+function takeItems(list, room) {
+  const items = [];
+  let tokens = 0;
+  let kept = 0;
+  for (const item of list) {
+    const cost = estimateTokens(item);
+    tokens += cost;
+    if (kept + cost <= room) {
+      items.push(item);
+      kept += cost;
+    }
+  }
+  return { items, tokens, kept, dropped: list.length - items.length };
+}
+
+// Cuts text at line boundaries to about maxTokens, keeping its 'start' or 'end'
+function truncateText(text, maxTokens, keep) {
+  const maxChars = Math.max(0, maxTokens) * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+  const lines = text.split('\n');
+  const kept = [];
+  let length = 0;
+  while (lines.length > 0) {
+    const line = keep === 'start' ? lines[0] : lines[lines.length - 1];
+    if (length + line.length + 1 > maxChars) break;
+    kept.push(keep === 'start' ? lines.shift() : lines.pop());
+    length += line.length + 1;
+  }
+  return (keep === 'start' ? kept : kept.reverse()).join('\n');
+}
+
+// usedModules lists modules and Module::symbol names, as do the import definition keys
+function isUsedImport(key, usedModules) {
+  return Array.isArray(usedModules) && usedModules.includes(key);
+}
+
+module.exports = { applyContextBudget, estimateTokens, formatBudgetReport };
@@ -1,11 +1,34 @@
 // src/collectors/contextCollector.js
 const vscode = require('vscode');
-const { getParser } = require('../parsers/treeSitter');
+const { getParser, parsePerl } = require('../parsers/treeSitter');
+
+// How far (as a share of the window) a boundary may move out to take in a whole statement or sub
+const MAX_EXPANSION = 0.5;
+
+// The last parse, reused while the document is unchanged
+let cachedTree = { uri: null, version: null, tree: null };
 
 class ContextCollector {
+  /**
+   * Collects the code before and after the cursor. With the parser available,
+   * the window is widened or narrowed to whole statements, so it never starts
+   * or ends inside a multi-line statement or heredoc, and takes in the entire
+   * enclosing sub when it is not much larger than the window.
+   * @param {vscode.TextDocument} document - Current document
+   * @param {vscode.Position} position - Cursor position
+   * @param {number} [linesBefore] - Lines before the cursor line
+   * @param {number} [linesAfter] - Lines after the cursor line
+   * @returns {{fullPrefix: string, fullSuffix: string, textAroundCursor: string, startLine: number, endLine: number}}
+   *   The lines before the cursor line, the text from the cursor on, and the window's first and last line
+   */
   static getCodeAround(document, position, linesBefore = 15, linesAfter = 15) {
-    const startLine = Math.max(0, position.line - linesBefore);
-    const endLine = Math.min(document.lineCount - 1, position.line + linesAfter);
+    let startLine = Math.max(0, position.line - linesBefore);
+    let endLine = Math.min(document.lineCount - 1, position.line + linesAfter);
+
+    const tree = ContextCollector.parse(document);
+    if (tree) {
+      ({ startLine, endLine } = alignWindow(tree.rootNode, position.line, startLine, endLine, linesBefore, linesAfter));
+    }
 
     const endPosition = position.line > 0 
     ? new vscode.Position(position.line - 1, document.lineAt(position.line - 1).text.length)
@@ -20,7 +43,20 @@ class ContextCollector {
       new vscode.Position(endLine, document.lineAt(endLine).text.length)
     ));
 
-    return { fullPrefix: prefix, fullSuffix: suffix, textAroundCursor: prefix + suffix };
+    return { fullPrefix: prefix, fullSuffix: suffix, textAroundCursor: prefix + suffix, startLine, endLine };
+  }
+
+  /**
+   * Parses a document, reusing the last tree while the document is unchanged
+   * @param {vscode.TextDocument} document
+   * @returns {Parser.Tree|null} null when the parser is unavailable
+   */
+  static parse(document) {
+    const uri = document.uri.toString();
+    if (cachedTree.uri !== uri || cachedTree.version !== document.version || !cachedTree.tree) {
+      cachedTree = { uri, version: document.version, tree: parsePerl(document.getText()) };
+    }
+    return cachedTree.tree;
   }
 
   static async getCurrentBlock(document, position) {
@@ -28,7 +64,7 @@ class ContextCollector {
     if (!parser) return null;
   
     const fileText = document.getText();
-    const tree     = parser.parse(fileText);
+    const tree     = ContextCollector.parse(document);
     const offset   = document.offsetAt(position);
   
     // 1) Find the raw node at the cursor (could be a comment)
@@ -72,6 +108,116 @@ class ContextCollector {
   }
 }
 
+/**
+ * Moves the window's first and last line to statement boundaries
+ * @param {Parser.SyntaxNode} root - Root of the document's tree
+ * @param {number} cursorLine - Line of the cursor
+ * @param {number} startLine - First line of the plain window
+ * @param {number} endLine - Last line of the plain window
+ * @param {number} linesBefore - Window size before the cursor
+ * @param {number} linesAfter - Window size after the cursor
+ * @returns {{startLine: number, endLine: number}}
+ */
+function alignWindow(root, cursorLine, startLine, endLine, linesBefore, linesAfter) {
+  const maxBefore = Math.ceil(linesBefore * MAX_EXPANSION);
+  const maxAfter = Math.ceil(linesAfter * MAX_EXPANSION);
+
+  // The whole enclosing sub, if it reaches only a little past the window
+  const sub = enclosingNode(root, cursorLine, 'function_definition');
+  let subStart = null;
+  let subEnd = null;
+  if (sub) {
+    const { start, end } = lineSpan(sub);
+    if (start < startLine && startLine - start <= maxBefore) subStart = start;
+    if (end > endLine && end - endLine <= maxAfter) subEnd = end;
+  }
+
+  // Boundaries are given as the first line after them: the prefix starts at
+  // `start`, and the suffix ends before `end + 1`
+  const start = subStart !== null ? subStart : alignBoundary(root, startLine, maxBefore, 'earlier');
+  const endBoundary = subEnd !== null ? subEnd + 1 : alignBoundary(root, endLine + 1, maxAfter, 'later');
+
+  return {
+    // Never past the cursor line, whatever a long statement around it asks for
+    startLine: Math.min(start, cursorLine),
+    endLine: Math.max(endBoundary - 1, cursorLine)
+  };
+}
+
+/**
+ * Moves a boundary out of any statement it falls inside. Blocks (sub bodies,
+ * if/while bodies) are searched for the innermost statement, since cutting
+ * between the statements of a block is fine.
+ * @param {Parser.SyntaxNode} root - Root of the document's tree
+ * @param {number} boundary - Line the boundary precedes
+ * @param {number} maxExpansion - Lines the boundary may move outwards
+ * @param {'earlier'|'later'} outwards - Which way widens the window
+ * @returns {number} The adjusted boundary
+ */
+function alignBoundary(root, boundary, maxExpansion, outwards) {
+  let container = root;
+  for (;;) {
+    const statement = crossingChild(container, boundary);
+    if (!statement) return boundary;
+
+    const block = crossingBlock(statement, boundary);
+    if (block) {
+      container = block;
+      continue;
+    }
+
+    // Take in the whole statement if it is close enough, otherwise leave it out
+    const { start, end } = lineSpan(statement);
+    const widened = outwards === 'earlier' ? start : end + 1;
+    const narrowed = outwards === 'earlier' ? end + 1 : start;
+    return Math.abs(widened - boundary) <= maxExpansion ? widened : narrowed;
+  }
+}
+
+// A named child that has lines on both sides of the boundary
+function crossingChild(node, boundary) {
+  for (let i = 0; i < node.namedChildCount; i++) {
+    const child = node.namedChild(i);
+    const { start, end } = lineSpan(child);
+    if (start < boundary && end >= boundary) return child;
+  }
+  return null;
+}
+
+// The outermost block inside a node that the boundary falls in
+function crossingBlock(node, boundary) {
+  const child = crossingChild(node, boundary);
+  if (!child) return null;
+  return child.type === 'block' ? child : crossingBlock(child, boundary);
+}
+
+function enclosingNode(root, line, type) {
+  let found = null;
+  let node = root;
+  while (node) {
+    if (node.type === type) found = node;
+    let next = null;
+    for (let i = 0; i < node.namedChildCount; i++) {
+      const child = node.namedChild(i);
+      const { start, end } = lineSpan(child);
+      if (start <= line && end >= line) {
+        next = child;
+        break;
+      }
+    }
+    node = next;
+  }
+  return found;
+}
+
+// First and last line of a node; a node ending at column 0 ends on the line before
+function lineSpan(node) {
+  const start = node.startPosition.row;
+  let end = node.endPosition.row;
+  if (end > start && node.endPosition.column === 0) end--;
+  return { start, end };
+}
+
 function findNodeAtOffset(node, offset) {
   if (offset < node.startIndex || offset > node.endIndex) return null;
   for (let i = 0; i < node.childCount; i++) {
@@ -1,5 +1,6 @@
 // src/collectors/definitionCollector.js
 const vscode = require('vscode');
+const ContextCollector = require('./contextCollector');
 
 class DefinitionCollector {
   static async getDefinitionsAtPosition(document, position) {
@@ -24,6 +25,129 @@ class DefinitionCollector {
     const regex = /(?:\$|\@|\%)\w+\s*=\s*[^;]+;/g;
     return text.match(regex) || [];
   }
+
+  /**
+   * Finds the variables declared with my/our/local/state that are visible at
+   * the cursor: declared before it, in a block that encloses it. A later
+   * declaration of the same name shadows the earlier one.
+   * @param {vscode.TextDocument} document - Current document
+   * @param {vscode.Position} position - Cursor position
+   * @returns {Array<{name: string, kind: string, line: number, initializer: string|null, declaration: string}>|null}
+   *   The variables in declaration order, with their 1-based line, the code
+   *   assigned in the declaration and the declaration's source; null when the
+   *   parser is unavailable
+   */
+  static findVisibleVariables(document, position) {
+    const tree = ContextCollector.parse(document);
+    if (!tree) return null;
+
+    const offset = document.offsetAt(position);
+    const visible = new Map(); // name -> latest visible declaration
+
+    const visit = node => {
+      // Declarations after the cursor are not visible yet
+      if (node.startIndex >= offset) return;
+      const variables = declaredVariables(node);
+      if (variables.length > 0) {
+        const scope = scopeOf(node);
+        // A foreach variable is declared before its loop body
+        const declaredAt = node.type === 'for_statement_2' ? node.namedChild(1).endIndex : node.endIndex;
+        if (declaredAt <= offset && scope.startIndex <= offset && offset <= scope.endIndex) {
+          for (const variable of variables) visible.set(variable.name, variable);
+        }
+      }
+      for (let i = 0; i < node.namedChildCount; i++) visit(node.namedChild(i));
+    };
+    visit(tree.rootNode);
+
+    return [...visible.values()].sort((a, b) => a.line - b.line);
+  }
+}
+
+// Longest initializer kept, in characters
+const MAX_INITIALIZER_LENGTH = 300;
+
+// Nodes that end an expression: statements and the blocks holding them
+const STATEMENT_TYPES = /^(source_file|block|\w*statement\w*)$/;
+
+// Nodes whose declarations are scoped to the node itself rather than the enclosing block
+const SCOPE_TYPES = new Set([
+  'block', 'source_file', 'for_statement_1', 'for_statement_2',
+  'if_statement', 'unless_statement', 'while_statement', 'until_statement'
+]);
+
+/**
+ * Lists the variables a node declares: `my $x`, `my ($a, @b)` and `foreach my $x`
+ * @param {Parser.SyntaxNode} node
+ * @returns {Array<object>} Entries for findVisibleVariables
+ */
+function declaredVariables(node) {
+  if (node.type === 'variable_declaration') {
+    const kind = node.namedChild(0) && node.namedChild(0).type === 'scope' ? node.namedChild(0).text : 'my';
+    const initializer = assignedValue(node);
+    const declaration = initializer === null ? `${node.text};` : `${node.text} = ${initializer};`;
+    return variableNames(node).map(name => ({
+      name, kind, line: node.startPosition.row + 1, initializer, declaration
+    }));
+  }
+  // foreach my $x (LIST) { ... }
+  if (node.type === 'for_statement_2' && node.namedChild(0) && node.namedChild(0).type === 'scope') {
+    const variable = node.namedChild(1);
+    const list = node.namedChild(2);
+    if (!variable || !list) return [];
+    const initializer = `element of ${truncate(list.text)}`;
+    return [{
+      name: variable.text,
+      kind: node.namedChild(0).text,
+      line: node.startPosition.row + 1,
+      initializer,
+      declaration: `foreach ${node.namedChild(0).text} ${variable.text} ${truncate(list.text)}`
+    }];
+  }
+  return [];
+}
+
+function variableNames(declaration) {
+  const names = [];
+  const collect = node => {
+    for (let i = 0; i < node.namedChildCount; i++) {
+      const child = node.namedChild(i);
+      if (child.type.endsWith('_variable')) names.push(child.text);
+      else if (child.type === 'multi_var_declaration') collect(child);
+    }
+  };
+  collect(declaration);
+  return names;
+}
+
+// The code assigned in `my $x = ...`, or null when the declaration is not assigned to
+function assignedValue(declaration) {
+  const parent = declaration.parent;
+  if (!parent || parent.type !== 'binary_expression') return null;
+  const target = parent.childForFieldName('variable');
+  const operator = parent.childForFieldName('operator');
+  if (!target || !operator || operator.type !== '=' || target.startIndex !== declaration.startIndex) return null;
+  // The grammar binds `=` tighter than `->`, `+`, `.` and `?:`, so `my $x = $a->b + 1`
+  // parses as `((my $x = $a)->b) + 1`: the value ends where the outermost of those ends
+  let expression = parent;
+  while (expression.parent && expression.parent.startIndex === declaration.startIndex &&
+    !STATEMENT_TYPES.test(expression.parent.type)) {
+    expression = expression.parent;
+  }
+  const value = expression.text.slice(operator.endIndex - expression.startIndex).trim();
+  return value ? truncate(value) : null;
+}
+
+// A foreach variable belongs to its loop; other declarations to the innermost enclosing scope
+function scopeOf(node) {
+  if (node.type === 'for_statement_2') return node;
+  let scope = node.parent;
+  while (scope && !SCOPE_TYPES.has(scope.type)) scope = scope.parent;
+  return scope || node.tree.rootNode;
+}
+
+function truncate(text) {
+  return text.length > MAX_INITIALIZER_LENGTH ? `${text.slice(0, MAX_INITIALIZER_LENGTH)} ...` : text;
 }
 
 module.exports = DefinitionCollector;
@@ -0,0 +1,291 @@
+// src/collectors/editorSnippetCollector.js
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { parsePerl } = require('../parsers/treeSitter');
+const { MiniLmEmbeddingProvider } = require('../embeddings/miniLmEmbeddings');
+const { throwIfCancelled, isCancellationError } = require('../utils/cancellation');
+
+// Edits this close to a tracked region are merged into it
+const MERGE_DISTANCE = 3;
+// Lines of code around an edit sent when it is not inside a small enough sub
+const EDIT_CONTEXT_LINES = 3;
+// Longest snippet, in lines
+const MAX_SNIPPET_LINES = 40;
+// Most snippets taken from one open editor
+const MAX_SNIPPETS_PER_EDITOR = 30;
+// Snippets compared by embedding, and how many of them are reserved for the latest edits;
+// the rest are the snippets sharing the most words with the comment
+const MAX_CANDIDATES = 16;
+const MAX_RECENT_CANDIDATES = 6;
+// Added to the similarity of recently edited code, more for the latest edits
+const RECENT_EDIT_BOOST = 0.1;
+// Embeddings kept for snippets that did not change
+const MAX_CACHED_EMBEDDINGS = 500;
+
+/**
+ * Collects snippets from the regions the user edited recently and from the
+ * other open Perl editors, ranked by similarity to the comment. Recently
+ * edited code gets a small boost, more the more recent the edit. This runs on
+ * the inline completion path, so only a few snippets, picked by the latest
+ * edits and the words they share with the comment, are embedded, in one batch.
+ */
+class EditorSnippetCollector {
+  /**
+   * @param {object} [options] - count (snippets per request, 0 to disable), maxEdits
+   *   (edited regions remembered), getEmbedder() returning the indexer's
+   *   embedding provider, if any, and isPerlDocument(doc) to pick the editors
+   */
+  constructor({ getEmbedder = () => null, isPerlDocument = () => true, ...options } = {}) {
+    this.getEmbedder = getEmbedder;
+    this.isPerlDocument = isPerlDocument;
+    this.ownEmbedder = null;
+    this.edits = []; // { uri, startLine, endLine, time }, least recent first
+    this.embeddings = new Map(); // content hash -> vector, least recently used first
+    this.subRanges = new Map(); // uri -> { version, ranges: [{startLine, endLine}] }
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - count and maxEdits
+   */
+  configure({ count = 3, maxEdits = 20 } = {}) {
+    this.count = Math.max(0, count);
+    this.maxEdits = Math.max(1, maxEdits);
+    this.edits.splice(0, Math.max(0, this.edits.length - this.maxEdits));
+  }
+
+  /**
+   * Records the regions changed by a document edit, moving the regions below
+   * it along with inserted or removed lines
+   * @param {vscode.TextDocumentChangeEvent} event
+   */
+  recordChange(event) {
+    const uri = event.document.uri.toString();
+    for (const change of event.contentChanges) {
+      const insertedLines = change.text.split('\n').length - 1;
+      const delta = insertedLines - (change.range.end.line - change.range.start.line);
+      for (const edit of this.edits) {
+        if (edit.uri !== uri || edit.endLine < change.range.end.line) continue;
+        if (edit.startLine > change.range.end.line) edit.startLine += delta;
+        edit.endLine = Math.max(edit.startLine, edit.endLine + delta);
+      }
+
+      const startLine = change.range.start.line;
+      const endLine = startLine + insertedLines;
+      const near = this.edits.findIndex(edit => edit.uri === uri &&
+        edit.startLine - MERGE_DISTANCE <= endLine && startLine <= edit.endLine + MERGE_DISTANCE);
+      const merged = near >= 0 ? this.edits.splice(near, 1)[0] : { uri, startLine, endLine };
+      merged.startLine = Math.min(merged.startLine, startLine);
+      merged.endLine = Math.max(merged.endLine, endLine);
+      merged.time = Date.now();
+      this.edits.push(merged);
+    }
+    this.edits.splice(0, Math.max(0, this.edits.length - this.maxEdits));
+  }
+
+  /**
+   * Drops what is known about a closed document
+   * @param {vscode.Uri} uri
+   */
+  forget(uri) {
+    const key = uri.toString();
+    this.edits = this.edits.filter(edit => edit.uri !== key);
+    this.subRanges.delete(key);
+  }
+
+  /**
+   * Finds the snippets most similar to a comment. Code of the current document
+   * inside the context window is left out, since it is sent anyway.
+   * @param {string} comment - The user's comment
+   * @param {vscode.TextDocument} document - Current document
+   * @param {{startLine: number, endLine: number}} window - Lines already sent around the cursor
+   * @param {object} [options] - token: cancels the ranking
+   * @returns {Promise<Array<{path: string, startLine: number, endLine: number, source: string, score: number|null, content: string}>>}
+   *   Snippets with 1-based lines, their source ('recent edit' or 'open editor')
+   *   and similarity; the score is null when embeddings are unavailable, and the
+   *   latest edits then come first, followed by the snippets sharing the most
+   *   words with the comment
+   */
+  async collect(comment, document, window, { token } = {}) {
+    if (this.count === 0) return [];
+    const candidates = preselect(this._candidates(document, window), comment);
+    throwIfCancelled(token);
+    if (candidates.length === 0) return [];
+
+    try {
+      const [query, ...vectors] = await this._embed([comment, ...candidates.map(c => c.content)]);
+      throwIfCancelled(token);
+      candidates.forEach((candidate, i) => {
+        // Both vectors are normalized, so the dot product is the cosine similarity
+        candidate.score = vectors[i].reduce((sum, value, j) => sum + value * query[j], 0) + candidate.boost;
+      });
+      candidates.sort((a, b) => b.score - a.score);
+    } catch (err) {
+      if (isCancellationError(err)) throw err;
+      console.error('Embeddings unavailable, ranking editor snippets by recency:', err);
+      for (const candidate of candidates) delete candidate.score;
+    }
+
+    return candidates.slice(0, this.count).map(({ uri, startLine, endLine, source, score, content }) => ({
+      path: vscode.workspace.asRelativePath(vscode.Uri.parse(uri)),
+      startLine: startLine + 1,
+      endLine: endLine + 1,
+      source,
+      score: score === undefined ? null : Math.round(score * 1000) / 1000,
+      content
+    }));
+  }
+
+  /**
+   * Lists the snippets to rank: recent edits, most recent first, then the subs
+   * (or blocks of lines) of the other open Perl editors that no edit covers
+   */
+  _candidates(document, window) {
+    const current = document.uri.toString();
+    const documents = new Map(vscode.workspace.textDocuments.map(doc => [doc.uri.toString(), doc]));
+    const candidates = [];
+    const covered = (uri, range) => candidates.some(c =>
+      c.uri === uri && c.startLine <= range.endLine && c.endLine >= range.startLine);
+
+    for (let index = this.edits.length - 1; index >= 0; index--) {
+      const edit = this.edits[index];
+      const doc = documents.get(edit.uri);
+      if (!doc || edit.startLine >= doc.lineCount) continue;
+      if (edit.uri === current && edit.startLine <= window.endLine && edit.endLine >= window.startLine) continue;
+      const range = this._enclosingSub(doc, edit) || {
+        startLine: Math.max(0, edit.startLine - EDIT_CONTEXT_LINES),
+        endLine: Math.min(doc.lineCount - 1, edit.endLine + EDIT_CONTEXT_LINES)
+      };
+      if (covered(edit.uri, range)) continue;
+      // Newest edit gets the full boost, the oldest remembered almost none
+      const boost = RECENT_EDIT_BOOST * (index + 1) / this.edits.length;
+      candidates.push(snippet(doc, range, 'recent edit', boost));
+    }
+
+    const tabUris = vscode.window.tabGroups.all
+      .flatMap(group => group.tabs)
+      .filter(tab => tab.input instanceof vscode.TabInputText)
+      .map(tab => tab.input.uri.toString());
+    for (const uri of new Set(tabUris)) {
+      const doc = documents.get(uri);
+      if (uri === current || !doc || !this.isPerlDocument(doc)) continue;
+      const ranges = this._subRanges(doc);
+      const blocks = ranges.length > 0 ? ranges : lineBlocks(doc);
+      for (const range of blocks.slice(0, MAX_SNIPPETS_PER_EDITOR)) {
+        if (!covered(uri, range)) candidates.push(snippet(doc, range, 'open editor', 0));
+      }
+    }
+
+    return candidates.filter(c => c.content.trim());
+  }
+
+  // The sub around an edited region, when it is short enough to send whole
+  _enclosingSub(doc, edit) {
+    return this._subRanges(doc).find(range => range.startLine <= edit.startLine && edit.endLine <= range.endLine) || null;
+  }
+
+  // Line ranges of the top-level subs of a document, at most MAX_SNIPPET_LINES long
+  _subRanges(doc) {
+    const key = doc.uri.toString();
+    const cached = this.subRanges.get(key);
+    if (cached && cached.version === doc.version) return cached.ranges;
+
+    const ranges = [];
+    const tree = parsePerl(doc.getText());
+    if (tree) {
+      const visit = node => {
+        for (let i = 0; i < node.namedChildCount; i++) {
+          const child = node.namedChild(i);
+          if (child.type === 'function_definition') {
+            const startLine = child.startPosition.row;
+            const endLine = child.endPosition.column === 0 ? child.endPosition.row - 1 : child.endPosition.row;
+            if (endLine - startLine < MAX_SNIPPET_LINES) ranges.push({ startLine, endLine });
+          } else if (child.type === 'package_statement' || child.type === 'block') {
+            visit(child);
+          }
+        }
+      };
+      visit(tree.rootNode);
+    }
+    this.subRanges.set(key, { version: doc.version, ranges });
+    return ranges;
+  }
+
+  /**
+   * Embeds texts, reusing the vectors of texts seen before and computing the
+   * others in a single batch
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} One vector per text, in order
+   */
+  async _embed(texts) {
+    const keys = texts.map(text => crypto.createHash('sha1').update(text).digest('hex'));
+    const missing = new Map(); // hash -> text not embedded yet
+    keys.forEach((key, i) => {
+      if (!this.embeddings.has(key)) missing.set(key, texts[i]);
+    });
+
+    if (missing.size > 0) {
+      let embedder = this.getEmbedder();
+      if (!embedder) {
+        this.ownEmbedder = this.ownEmbedder || new MiniLmEmbeddingProvider();
+        embedder = this.ownEmbedder;
+      }
+      const vectors = await embedder.embedBatch([...missing.values()]);
+      [...missing.keys()].forEach((key, i) => this.embeddings.set(key, vectors[i]));
+    }
+
+    const result = keys.map(key => {
+      // Move the vectors used now to the most recently used end
+      const vector = this.embeddings.get(key);
+      this.embeddings.delete(key);
+      this.embeddings.set(key, vector);
+      return vector;
+    });
+    while (this.embeddings.size > MAX_CACHED_EMBEDDINGS) {
+      this.embeddings.delete(this.embeddings.keys().next().value);
+    }
+    return result;
+  }
+}
+
+function snippet(doc, { startLine, endLine }, source, boost) {
+  const last = Math.min(endLine, startLine + MAX_SNIPPET_LINES - 1, doc.lineCount - 1);
+  const content = doc.getText(new vscode.Range(startLine, 0, last, doc.lineAt(last).text.length));
+  return { uri: doc.uri.toString(), startLine, endLine: last, source, boost, content };
+}
+
+/**
+ * Cuts the candidates down to the few worth embedding: the latest edits, then
+ * the snippets sharing the most words with the comment
+ * @param {Array<object>} candidates - Recent edits, most recent first, then open editor snippets
+ * @param {string} comment - The user's comment
+ * @returns {Array<object>} At most MAX_CANDIDATES of them
+ */
+function preselect(candidates, comment) {
+  const recent = candidates.filter(c => c.source === 'recent edit').slice(0, MAX_RECENT_CANDIDATES);
+  const query = new Set(words(comment));
+  const overlap = candidate => words(candidate.content).filter(word => query.has(word)).length;
+  const rest = candidates
+    .filter(c => !recent.includes(c))
+    .map(candidate => ({ candidate, overlap: overlap(candidate) }))
+    .sort((a, b) => b.overlap - a.overlap)
+    .map(entry => entry.candidate);
+  return [...recent, ...rest].slice(0, MAX_CANDIDATES);
+}
+
+// Distinct lowercase words of a text, identifiers split at underscores and camel case
+function words(text) {
+  const parts = text.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().match(/[a-z][a-z0-9]{2,}/g) || [];
+  return [...new Set(parts)];
+}
+
+// Blocks of lines of a document without subs
+function lineBlocks(doc) {
+  const blocks = [];
+  for (let startLine = 0; startLine < doc.lineCount; startLine += MAX_SNIPPET_LINES) {
+    blocks.push({ startLine, endLine: Math.min(doc.lineCount - 1, startLine + MAX_SNIPPET_LINES - 1) });
+  }
+  return blocks;
+}
+
+module.exports = { EditorSnippetCollector };
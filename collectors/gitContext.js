@@ -0,0 +1,233 @@
+// src/collectors/gitContext.js
+const vscode = require('vscode');
+const fs = require('fs').promises;
+const path = require('path');
+const { runTool } = require('../diagnostics/runTool');
+
+// How much recency can make up for distance when ranking related code
+const RECENCY_WEIGHT = 0.2;
+// Blame results kept, by file and line range
+const MAX_CACHED_BLAMES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Commit id git blame gives lines that are not committed yet
+const UNCOMMITTED = /^0{40}$/;
+
+/**
+ * Reads the workspace's git working tree with the local git binary: the
+ * uncommitted changes of the current file and of the modules it imports, and
+ * when the lines of a sub were last changed. git runs the hooks and filters a
+ * repository configures, so it is only used in trusted workspaces.
+ */
+class GitContextCollector {
+  constructor(options = {}) {
+    this.gitMissingReported = false;
+    this.roots = new Map(); // directory -> repository root, or null outside a repository
+    this.blames = new Map(); // "file:start-end" -> { mtimeMs, changedAt }, least recently used first
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - enabled, gitPath, maxDiffLines (per file), recencyDays and timeout
+   */
+  configure({ enabled = true, gitPath = 'git', maxDiffLines = 200, recencyDays = 14, timeout = 5000 } = {}) {
+    this.enabled = enabled;
+    this.gitPath = gitPath || 'git';
+    this.maxDiffLines = Math.max(1, maxDiffLines);
+    this.recencyDays = Math.max(0, recencyDays);
+    this.timeout = timeout;
+    this.roots.clear();
+    this.blames.clear();
+  }
+
+  /**
+   * Checks whether git may run
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled && vscode.workspace.isTrusted;
+  }
+
+  /**
+   * Collects the uncommitted changes (staged or not, against HEAD) of a
+   * document and of the changed files that define modules it imports. The
+   * diff is of the saved files; unsaved edits are in the editor's own context.
+   * @param {vscode.TextDocument} document - Current document
+   * @param {string[]} modules - Modules the document imports
+   * @param {AbortSignal} [signal] - Aborts git
+   * @returns {Promise<Array<{path: string, module: string|null, diff: string, truncated: boolean}>>}
+   *   One entry per changed file, the document first; module is null for the document
+   */
+  async getWorkingTreeDiff(document, modules, signal) {
+    if (!this.isEnabled() || document.isUntitled) return [];
+    const root = await this._repositoryRoot(path.dirname(document.fileName), signal);
+    if (!root) return [];
+
+    const listing = await this._git(['diff', 'HEAD', '--name-only'], root, signal);
+    if (!listing) return [];
+    const current = path.relative(root, document.fileName).split(path.sep).join('/');
+    const imported = new Set(modules);
+    const files = [];
+    for (const file of listing.split('\n').filter(Boolean)) {
+      const module = moduleName(file);
+      if (file === current) files.unshift({ file, module: null });
+      else if (module && imported.has(module)) files.push({ file, module });
+    }
+    if (files.length === 0) return [];
+
+    const output = await this._git(
+      ['diff', 'HEAD', '--no-color', '--no-ext-diff', '--', ...files.map(f => f.file)], root, signal
+    );
+    if (!output) return [];
+    const diffs = splitDiff(output);
+    return files.filter(f => diffs.has(f.file)).map(f => {
+      const { text, truncated } = truncateDiff(diffs.get(f.file), this.maxDiffLines);
+      return {
+        path: vscode.workspace.asRelativePath(vscode.Uri.file(path.join(root, f.file))),
+        module: f.module,
+        diff: text,
+        truncated
+      };
+    });
+  }
+
+  /**
+   * Re-ranks code search results so that recently changed subs come first
+   * among similar ones. A sub changed just now, or not committed yet, gains the
+   * full weight; one last changed recencyDays ago or earlier gains nothing.
+   * @param {Array<{path: string, content: string, score: number}>} results - Search results, lowest score (distance) first
+   * @param {AbortSignal} [signal] - Aborts git
+   * @returns {Promise<Array<object>>} The results with recency (0 to 1) and
+   *   lastChanged (ISO date or null), in the new order
+   */
+  async rankByRecency(results, signal) {
+    if (!this.isEnabled() || this.recencyDays === 0 || results.length === 0) return results;
+    const ranked = [];
+    for (const result of results) {
+      const changedAt = await this._lastChanged(result.path, result.content, signal);
+      const age = changedAt === null ? Infinity : Math.max(0, Date.now() - changedAt) / DAY_MS;
+      const recency = Math.max(0, 1 - age / this.recencyDays);
+      ranked.push({
+        result: {
+          ...result,
+          recency: Math.round(recency * 100) / 100,
+          lastChanged: changedAt === null ? null : new Date(changedAt).toISOString()
+        },
+        rank: (result.score || 0) - RECENCY_WEIGHT * recency
+      });
+    }
+    return ranked.sort((a, b) => a.rank - b.rank).map(entry => entry.result);
+  }
+
+  /**
+   * Finds when the lines of a snippet were last changed, with git blame
+   * @returns {Promise<number|null>} Time in ms, or null when the snippet is not in
+   *   the file, the file is not tracked or git failed
+   */
+  async _lastChanged(file, content, signal) {
+    let text;
+    let stat;
+    try {
+      [text, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+    } catch {
+      return null;
+    }
+    const offset = content ? text.indexOf(content) : -1;
+    if (offset < 0) return null;
+    const startLine = text.slice(0, offset).split('\n').length;
+    const endLine = startLine + content.split('\n').length - 1;
+
+    const key = `${file}:${startLine}-${endLine}`;
+    const cached = this.blames.get(key);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      this.blames.delete(key);
+      this.blames.set(key, cached);
+      return cached.changedAt;
+    }
+
+    const root = await this._repositoryRoot(path.dirname(file), signal);
+    if (!root) return null;
+    const output = await this._git(['blame', '--porcelain', '-L', `${startLine},${endLine}`, '--', file], root, signal);
+    const changedAt = output === null ? null : latestChange(output, stat.mtimeMs);
+
+    this.blames.set(key, { mtimeMs: stat.mtimeMs, changedAt });
+    if (this.blames.size > MAX_CACHED_BLAMES) {
+      this.blames.delete(this.blames.keys().next().value);
+    }
+    return changedAt;
+  }
+
+  async _repositoryRoot(directory, signal) {
+    if (!this.roots.has(directory)) {
+      const output = await this._git(['rev-parse', '--show-toplevel'], directory, signal);
+      this.roots.set(directory, output ? path.normalize(output.trim()) : null);
+    }
+    return this.roots.get(directory);
+  }
+
+  /**
+   * Runs git with paths printed as they are
+   * @returns {Promise<string|null>} Its output, or null when it failed or is missing
+   */
+  async _git(args, cwd, signal) {
+    try {
+      const { stdout, exitCode } = await runTool(this.gitPath, ['-c', 'core.quotePath=false', ...args], {
+        cwd, signal, timeout: this.timeout
+      });
+      return exitCode === 0 ? stdout : null;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      if (!this.gitMissingReported) {
+        this.gitMissingReported = true;
+        vscode.window.showWarningMessage(
+          `Git context disabled: "${this.gitPath}" was not found. Set perlCodeGeneration.git.path.`
+        );
+      }
+      return null;
+    }
+  }
+}
+
+// The module a .pm file defines, going by its path below lib/
+function moduleName(file) {
+  const match = file.match(/(?:^|\/)lib\/(.+)\.pm$/) || file.match(/^(.+)\.pm$/);
+  return match ? match[1].split('/').join('::') : null;
+}
+
+// Splits `git diff` output into the diff of each file, by its path in the working tree
+function splitDiff(output) {
+  const diffs = new Map();
+  for (const part of output.split(/^(?=diff --git )/m)) {
+    const header = part.match(/^diff --git .* b\/(.+)$/m);
+    if (header) diffs.set(header[1], part.trimEnd());
+  }
+  return diffs;
+}
+
+// Keeps the file header and the whole hunks that fit in maxLines
+function truncateDiff(diff, maxLines) {
+  const lines = diff.split('\n');
+  if (lines.length <= maxLines) return { text: diff, truncated: false };
+  let end = lines.findIndex(line => line.startsWith('@@'));
+  if (end < 0) return { text: lines.slice(0, maxLines).join('\n'), truncated: true };
+  for (let i = end + 1; i <= maxLines; i++) {
+    if (i === lines.length || lines[i].startsWith('@@')) end = i;
+  }
+  // A first hunk longer than the limit is cut
+  if (lines.slice(0, end).every(line => !line.startsWith('@@'))) end = maxLines;
+  return { text: lines.slice(0, end).join('\n'), truncated: true };
+}
+
+// Latest committer time of the blamed lines; lines not committed yet count as changed when the file was saved
+function latestChange(porcelain, mtimeMs) {
+  let latest = null;
+  let uncommitted = false;
+  for (const line of porcelain.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header && UNCOMMITTED.test(header[1])) uncommitted = true;
+    const time = line.match(/^committer-time (\d+)$/);
+    if (time) latest = Math.max(latest || 0, Number(time[1]) * 1000);
+  }
+  return uncommitted ? mtimeMs : latest;
+}
+
+module.exports = { GitContextCollector };
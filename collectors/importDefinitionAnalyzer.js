@@ -2,6 +2,7 @@ const vscode = require('vscode');
 const fs = require('fs').promises;
 const path = require('path');
 const { glob } = require('glob');
+const { throwIfCancelled } = require('../utils/cancellation');
 
 /**
  * A Perl Import Analyzer that uses direct file path resolution
@@ -218,9 +219,10 @@ class PerlImportDefAnalyzer {
   /**
    * Get definitions for all imports in the current file using file path approach
    * @param {vscode.TextDocument} document - The current document
+   * @param {vscode.CancellationToken} [token] - Stops the lookup between imports when cancelled
    * @returns {Promise<Object>} - Map of module/symbol names to their definitions
    */
-  async getImportDefinitions(document) {
+  async getImportDefinitions(document, token) {
     console.log('[PerlImportAnalyzer] Analyzing imports using file path lookup...');
     
     const fileText = document.getText();
@@ -231,6 +233,7 @@ class PerlImportDefAnalyzer {
     
     // Process each module or file
     for (const importName of Object.keys(imports)) {
+      throwIfCancelled(token);
       console.log(`[PerlImportAnalyzer] Processing import: ${importName}`);
       
       let moduleDef = null;
@@ -267,6 +270,7 @@ class PerlImportDefAnalyzer {
         console.log(`[PerlImportAnalyzer] Processing symbol: ${symbol}`);
         
         // Use the file/module we found to locate the symbol
+        throwIfCancelled(token);
         if (moduleDef) {
           const symbolDef = await this.findSymbolInFile(moduleDef, symbol);
           const fullName = `${importName}::${symbol}`;
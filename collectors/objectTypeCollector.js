@@ -0,0 +1,272 @@
+// src/collectors/objectTypeCollector.js
+const ContextCollector = require('./contextCollector');
+
+// Class methods taken to return an instance of their class
+const CONSTRUCTOR_PATTERN = /^(new|create|instance|connect)(_\w+|[A-Z]\w*)?$/;
+
+// Constructors and methods known to return an object of another class
+const KNOWN_RETURN_TYPES = {
+  'DBI->connect': 'DBI::db',
+  'DBI->connect_cached': 'DBI::db',
+  'DBI::db->clone': 'DBI::db',
+  'DBI::db->prepare': 'DBI::st',
+  'DBI::db->prepare_cached': 'DBI::st',
+};
+
+// Most methods listed per object
+const MAX_METHODS = 50;
+// Longest statement quoted as the reason for a type, in characters
+const MAX_EVIDENCE_LENGTH = 120;
+
+class ObjectTypeCollector {
+  /**
+   * Infers the class of the scalars assigned before the cursor in the current
+   * sub, from the statements that create or receive objects:
+   * - `Class->new(...)`, `new Class(...)` and other constructors (new*, create,
+   *   instance, connect*), with known return types such as `DBI->connect`
+   * - `bless {...}, $class` and `bless $self, __PACKAGE__`
+   * - `my $self = shift` and `my ($self, ...) = @_` in a sub inside a package
+   * - copies of a typed variable and methods known to return objects
+   * Assigning anything else to a variable forgets its type.
+   * @param {vscode.TextDocument} document - Current document
+   * @param {vscode.Position} position - Cursor position
+   * @returns {Array<{variable: string, package: string, inferredFrom: string, line: number}>}
+   *   The typed variables with the statement each type comes from and its 1-based
+   *   line; the object the cursor calls a method on comes first
+   */
+  static inferObjectTypes(document, position) {
+    const offset = document.offsetAt(position);
+    const scope = currentScope(document, offset);
+    const types = new Map(); // variable -> type
+    let shifts = 0;
+
+    for (const statement of scope.statements) {
+      const text = statement.text.trim().replace(/;$/, '').trim();
+      const line = document.positionAt(statement.startIndex).line + 1;
+      const type = (variable, packageName) => {
+        if (packageName) {
+          types.set(variable, { variable, package: packageName, inferredFrom: truncate(text), line });
+        } else {
+          types.delete(variable);
+        }
+      };
+
+      // my ($self, %args) = @_;
+      const list = text.match(/^(?:(?:my|our|local|state)\s*)?\(\s*(\$\w+)[^)]*\)\s*=\s*@_$/);
+      if (list) {
+        type(list[1], scope.isMethod ? scope.packageName : null);
+        continue;
+      }
+
+      // bless $self, $class;
+      const bless = text.match(/^bless\s*\(?\s*(\$\w+)\s*,\s*([^,]+?)\s*\)?$/);
+      if (bless) {
+        type(bless[1], blessedClass(bless[2], scope.packageName));
+        continue;
+      }
+
+      const assignment = text.match(/^(?:(?:my|our|local|state)\s+)?(\$\w+)\s*=\s*([\s\S]+)$/);
+      if (!assignment) continue;
+      const [, variable, value] = assignment;
+      if (/^shift\s*(\(\s*(@_)?\s*\)|@_)?$/.test(value)) {
+        shifts++;
+        type(variable, scope.isMethod && shifts === 1 ? scope.packageName : null);
+      } else if (value === '$_[0]') {
+        type(variable, scope.isMethod ? scope.packageName : null);
+      } else {
+        type(variable, typeOfValue(value, types, scope.packageName));
+      }
+    }
+
+    // `$obj->` at the cursor: that object first
+    const before = document.lineAt(position.line).text.slice(0, position.character);
+    const receiver = before.match(/(\$\w+)\s*->\s*\w*$/);
+    const result = [...types.values()];
+    if (receiver) {
+      result.sort((a, b) => (b.variable === receiver[1]) - (a.variable === receiver[1]));
+    }
+    return result;
+  }
+
+  /**
+   * Adds the methods of each inferred package: the subs the current document
+   * defines in it, and those other files define according to the index.
+   * Inherited methods are not included.
+   * @param {Array<object>} types - Result of inferObjectTypes
+   * @param {PerlCodeStructureIndex|null} structureIndex - Index of the workspace, if any
+   * @param {vscode.TextDocument} document - Current document; its subs replace its indexed copy
+   * @returns {Array<object>} The types with their method names, sorted, at most 50 each
+   */
+  static withMethods(types, structureIndex, document) {
+    if (types.length === 0) return types;
+    const ownSubs = subroutinesIn(document);
+    return types.map(type => {
+      const indexed = structureIndex
+        ? structureIndex.getMethods(type.package).filter(method => method.filepath !== document.fileName)
+        : [];
+      const own = ownSubs.filter(sub => sub.packageName === type.package);
+      const methods = [...new Set([...own, ...indexed].map(method => method.name))].sort();
+      return { ...type, methods: methods.slice(0, MAX_METHODS) };
+    });
+  }
+}
+
+/**
+ * Finds the statements before the cursor in the sub it is in (or in the file
+ * scope, outside subs) and the package they belong to
+ * @returns {{statements: Array<{text: string, startIndex: number}>, packageName: string, isMethod: boolean}}
+ */
+function currentScope(document, offset) {
+  const subs = subroutinesIn(document);
+  // Innermost sub around the cursor: the one starting last
+  const sub = subs.filter(s => s.startIndex < offset && offset <= s.endIndex).pop();
+  const packageName = sub ? sub.packageName : packageAt(document, offset);
+  const isMethod = Boolean(sub && sub.name && packageName !== 'main');
+
+  const tree = ContextCollector.parse(document);
+  if (!tree) {
+    // Without the parser, split the text between the sub's opening brace and the cursor on semicolons
+    const text = document.getText();
+    let start = sub ? text.indexOf('{', sub.startIndex) + 1 : 0;
+    const statements = [];
+    for (const part of text.slice(start, offset).split(';').slice(0, -1)) {
+      statements.push({ text: part, startIndex: start + part.search(/\S|$/) });
+      start += part.length + 1;
+    }
+    return { statements, packageName, isMethod };
+  }
+
+  // Statements directly in a block, leaving out the bodies of other subs
+  const statements = [];
+  const visit = node => {
+    for (let i = 0; i < node.namedChildCount; i++) {
+      const child = node.namedChild(i);
+      if (child.startIndex >= offset) break;
+      if (child.type === 'function_definition' || child.type === 'anonymous_function') {
+        if (child.endIndex < offset) continue;
+      }
+      if ((node.type === 'block' || node.type === 'source_file') && child.endIndex <= offset) {
+        statements.push({ text: child.text, startIndex: child.startIndex });
+      }
+      visit(child);
+    }
+  };
+  const root = sub ? findSubNode(tree.rootNode, sub) : tree.rootNode;
+  visit(root);
+  return { statements, packageName, isMethod };
+}
+
+/**
+ * Lists the named subs of a document with the package each is defined in
+ * @param {vscode.TextDocument} document
+ * @returns {Array<{name: string, packageName: string, startIndex: number, endIndex: number}>}
+ *   In document order; without the parser the end is unknown and set to the next sub's start
+ */
+function subroutinesIn(document) {
+  const tree = ContextCollector.parse(document);
+  const subs = [];
+  if (!tree) {
+    const text = document.getText();
+    let packageName = 'main';
+    for (const match of text.matchAll(/^\s*(?:package\s+([\w:]+)|sub\s+(\w+))/gm)) {
+      if (match[1]) {
+        packageName = match[1];
+        continue;
+      }
+      if (subs.length > 0) subs[subs.length - 1].endIndex = match.index;
+      subs.push({ name: match[2], packageName, startIndex: match.index + match[0].indexOf('sub'), endIndex: text.length });
+    }
+    return subs;
+  }
+
+  const visit = (node, packageName) => {
+    for (let i = 0; i < node.childCount; i++) {
+      const child = node.child(i);
+      if (child.type === 'package_statement') {
+        const name = child.child(1) ? child.child(1).text : packageName;
+        // `package Name { ... }` scopes the name to its block
+        const body = child.childForFieldName('body');
+        if (body) visit(body, name);
+        else packageName = name;
+      } else {
+        const nameNode = child.type === 'function_definition' ? child.childForFieldName('name') : null;
+        if (nameNode) {
+          subs.push({ name: nameNode.text, packageName, startIndex: child.startIndex, endIndex: child.endIndex });
+        }
+        visit(child, packageName);
+      }
+    }
+  };
+  visit(tree.rootNode, 'main');
+  return subs;
+}
+
+// The package in effect at the cursor, outside any sub
+function packageAt(document, offset) {
+  const text = document.getText().slice(0, offset);
+  const packages = [...text.matchAll(/^\s*package\s+([\w:]+)\s*;/gm)];
+  return packages.length > 0 ? packages[packages.length - 1][1] : 'main';
+}
+
+function findSubNode(node, sub) {
+  if (node.type === 'function_definition' && node.startIndex === sub.startIndex) return node;
+  for (let i = 0; i < node.namedChildCount; i++) {
+    const child = node.namedChild(i);
+    if (child.startIndex <= sub.startIndex && sub.startIndex < child.endIndex) return findSubNode(child, sub);
+  }
+  return node;
+}
+
+/**
+ * Works out the class of an assigned value
+ * @param {string} value - Code on the right of the `=`
+ * @param {Map<string, object>} types - Types known so far
+ * @param {string} packageName - Package of the current sub
+ * @returns {string|null}
+ */
+function typeOfValue(value, types, packageName) {
+  // bless {...}, $class
+  const bless = value.match(/^bless\b\s*\(?([\s\S]*)$/);
+  if (bless) {
+    const args = bless[1].replace(/\)\s*$/, '');
+    const comma = args.lastIndexOf(',');
+    return comma < 0 ? packageName : blessedClass(args.slice(comma + 1), packageName);
+  }
+
+  // new Class(...)
+  const indirect = value.match(/^new\s+([A-Za-z_][\w:]*)/);
+  if (indirect) return indirect[1];
+
+  // Class->method(...) or $object->method(...)
+  const call = value.match(/^(\$\w+|__PACKAGE__|[A-Za-z_][\w:]*)\s*->\s*(\w+)/);
+  if (call) {
+    const [, invocant, method] = call;
+    let className;
+    if (invocant.startsWith('$')) {
+      className = types.has(invocant) ? types.get(invocant).package : null;
+    } else {
+      className = invocant === '__PACKAGE__' ? packageName : invocant;
+    }
+    if (!className) return null;
+    const known = KNOWN_RETURN_TYPES[`${className}->${method}`];
+    if (known) return known;
+    return CONSTRUCTOR_PATTERN.test(method) || (invocant.startsWith('$') && method === 'clone') ? className : null;
+  }
+
+  // $copy = $object
+  if (/^\$\w+$/.test(value)) return types.has(value) ? types.get(value).package : null;
+  return null;
+}
+
+// The class in `bless REF, CLASS`: a quoted name, or the current package for __PACKAGE__, $class and the like
+function blessedClass(expression, packageName) {
+  const quoted = expression.trim().match(/^(['"])([\w:]+)\1$/);
+  return quoted ? quoted[2] : packageName;
+}
+
+function truncate(text) {
+  const line = text.replace(/\s+/g, ' ');
+  return line.length > MAX_EVIDENCE_LENGTH ? `${line.slice(0, MAX_EVIDENCE_LENGTH)} ...` : line;
+}
+
+module.exports = ObjectTypeCollector;
@@ -0,0 +1,136 @@
+// src/collectors/promptCollector.js
+
+// POD commands that only structure the document and carry no instruction text
+const POD_STRUCTURE_COMMANDS = ['pod', 'cut', 'over', 'back', 'begin', 'end', 'for', 'encoding'];
+
+class PromptCollector {
+  /**
+   * Finds the instruction the user wrote at the cursor: the contiguous block of
+   * `#` comment lines around it, or the POD section it is in (or that ends just
+   * above it).
+   * @param {vscode.TextDocument} document
+   * @param {vscode.Position} position
+   * @returns {{instruction: string, kind: 'comment'|'pod', startLine: number, endLine: number} | null}
+   *   The instruction and the lines it spans; generated code goes after endLine
+   */
+  static getPromptAt(document, position) {
+    const lineText = document.lineAt(position.line).text;
+    if (isCommentLine(document, position.line)) {
+      return this.getCommentBlock(document, position.line);
+    }
+
+    if (/^=[a-zA-Z]/.test(lineText) || isInsidePod(document, position.line)) {
+      return this.getPodSection(document, position.line);
+    }
+
+    // On a blank line right below a POD section that documents the code to write
+    if (!lineText.trim()) {
+      let line = position.line - 1;
+      while (line >= 0 && !document.lineAt(line).text.trim()) line--;
+      if (line >= 0 && /^=cut\b/.test(document.lineAt(line).text)) {
+        return this.getPodSection(document, line);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Collects the contiguous `#` comment lines around a line
+   * @param {vscode.TextDocument} document
+   * @param {number} line - A comment line inside the block
+   */
+  static getCommentBlock(document, line) {
+    let startLine = line;
+    while (startLine > 0 && isCommentLine(document, startLine - 1)) startLine--;
+    let endLine = line;
+    while (endLine < document.lineCount - 1 && isCommentLine(document, endLine + 1)) endLine++;
+
+    const instruction = [];
+    for (let i = startLine; i <= endLine; i++) {
+      const text = document.lineAt(i).text.replace(/^\s*#+\s?/, '');
+      // Skip separator lines such as "########" or "# ------"
+      if (/^[\s#=*-]*$/.test(text)) continue;
+      instruction.push(text.trimEnd());
+    }
+
+    return { instruction: instruction.join('\n').trim(), kind: 'comment', startLine, endLine };
+  }
+
+  /**
+   * Collects the POD section containing a line, up to its `=cut`
+   * @param {vscode.TextDocument} document
+   * @param {number} line - A line inside the POD section (or its `=cut`)
+   */
+  static getPodSection(document, line) {
+    let startLine = line;
+    // A section starts at the first POD command after the previous =cut (or file start)
+    for (let i = line; i >= 0; i--) {
+      const text = document.lineAt(i).text;
+      if (i < line && /^=cut\b/.test(text)) break;
+      if (/^=[a-zA-Z]/.test(text)) startLine = i;
+    }
+
+    let endLine = -1;
+    for (let i = line; i < document.lineCount; i++) {
+      if (/^=cut\b/.test(document.lineAt(i).text)) {
+        endLine = i;
+        break;
+      }
+    }
+    // POD without =cut runs to the end of the file, so there is nowhere to put code
+    if (endLine === -1) return null;
+
+    const instruction = [];
+    for (let i = startLine; i <= endLine; i++) {
+      const text = document.lineAt(i).text;
+      const command = /^=(\w+)\s*(.*)$/.exec(text);
+      if (command) {
+        if (POD_STRUCTURE_COMMANDS.includes(command[1])) continue;
+        // =head1..4 and =item keep their text
+        if (command[2].trim()) instruction.push(stripFormattingCodes(command[2].trim()));
+        continue;
+      }
+      instruction.push(stripFormattingCodes(text.trimEnd()));
+    }
+
+    return {
+      instruction: instruction.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+      kind: 'pod',
+      startLine,
+      endLine
+    };
+  }
+}
+
+function isCommentLine(document, line) {
+  const text = document.lineAt(line).text;
+  if (!text.trim().startsWith('#')) return false;
+  // The shebang line is not an instruction
+  return !(line === 0 && text.startsWith('#!'));
+}
+
+/**
+ * Checks whether a line lies inside a POD section by finding the nearest POD
+ * command above it
+ */
+function isInsidePod(document, line) {
+  for (let i = line; i >= 0; i--) {
+    const text = document.lineAt(i).text;
+    if (/^=cut\b/.test(text)) return i === line;
+    if (/^=[a-zA-Z]/.test(text)) return true;
+  }
+  return false;
+}
+
+// Reduces POD formatting codes such as C<foo>, B<bar> and L<Module::Name> to their text
+function stripFormattingCodes(text) {
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/[A-Z]<([^<>]*)>/g, '$1');
+  } while (text !== previous);
+  return text;
+}
+
+module.exports = PromptCollector;
@@ -3,16 +3,22 @@ const { analyzeImportsForCurrentFile } = require('../collectors/importDefinition
 const { PerlRepositoryMapProvider } = require('../collectors/repoMapProvider');
 const ContextCollector = require('../collectors/contextCollector');
 const DefinitionCollector = require('../collectors/definitionCollector');
+const ObjectTypeCollector = require('../collectors/objectTypeCollector');
+const PromptCollector = require('../collectors/promptCollector');
 const PerlImportAnalyzer = require('../collectors/perlImportAnalyzer')
 const { getParser } = require('../parsers/treeSitter');
 const { debugModuleNames } = require('../collectors/importDefinitionAnalyzer');
+const api = require('../api/api');
+const { isCancellationError } = require('../utils/cancellation');
+const { llmClient } = require('../providers');
+const { applyContextBudget, formatBudgetReport } = require('../collectors/contextBudget');
 
 /**
  * Registers all commands for the extension.
  * @param {vscode.ExtensionContext} context - The extension context.
  * @param {object} dependencies - Dependencies like codebaseIndexer, config, etc.
  */
-function registerCommands(context, { config, logError, logInfo, initializeCodebaseIndexer, getCodebaseIndexer }) {
+function registerCommands(context, { config, logError, logInfo, initializeCodebaseIndexer, getCodebaseIndexer, getCompletionCache, getSuggestionHistory, getErrorCheckScheduler }) {
 
   // Command: Analyze context
   context.subscriptions.push(
@@ -28,7 +34,7 @@ function registerCommands(context, { config, logError, logInfo, initializeCodeba
         const pos = editor.selection.active;
         
         // Surrounding code
-        const codeCtx = ContextCollector.getCodeAround(doc, pos);
+        const codeCtx = ContextCollector.getCodeAround(doc, pos, config.contextWindowSize, config.contextWindowSize);
         
         // Current subroutine/block
         const block = await ContextCollector.getCurrentBlock(doc, pos);
@@ -43,6 +49,13 @@ function registerCommands(context, { config, logError, logInfo, initializeCodeba
           doc.lineAt(doc.lineCount - 1).range.end
         );
         const varDefs = await DefinitionCollector.findVariableDefinitions(doc, fullRange);
+        // Variables in scope at the cursor
+        const visibleVariables = DefinitionCollector.findVisibleVariables(doc, pos);
+        // Classes of the objects in the current sub
+        const indexer = getCodebaseIndexer();
+        const objectTypes = ObjectTypeCollector.withMethods(
+          ObjectTypeCollector.inferObjectTypes(doc, pos), indexer ? indexer.structureIndex : null, doc
+        );
 
         // Folder structure
         const repostruct = await PerlRepositoryMapProvider.generateTreeMap();
@@ -68,8 +81,11 @@ function registerCommands(context, { config, logError, logInfo, initializeCodeba
         out.appendLine('\n## IMPORTS\n' + JSON.stringify(imports, null, 2));
         out.appendLine('\n## USED MODULES/SYMBOLS\n' + JSON.stringify(usedModules, null, 2));
         out.appendLine('\n## VARIABLE DEFINITIONS\n' + JSON.stringify(varDefs, null, 2));
+        out.appendLine('\n## VARIABLES IN SCOPE\n' + (visibleVariables ? JSON.stringify(visibleVariables, null, 2) : '<parser unavailable>'));
+        out.appendLine('\n## OBJECT TYPES\n' + JSON.stringify(objectTypes, null, 2));
         out.appendLine('\n## FILE NAME\n' + doc.fileName);
         out.appendLine('\n## Project structure\n' + repostruct);
+        out.appendLine('\n## CONTEXT BUDGET\n' + formatBudgetReport(applyContextBudget(ctxPayload, config.contextMaxTokens).report));
         out.show();
       } catch (error) {
         logError('Error analyzing context:', error);
@@ -158,14 +174,14 @@ function registerCommands(context, { config, logError, logInfo, initializeCodeba
       }
 
       const pos = editor.selection.active;
-      const line = editor.document.lineAt(pos).text;
+      const prompt = PromptCollector.getPromptAt(editor.document, pos);
 
-      if (!line.trim().startsWith('#')) {
-        vscode.window.showInformationMessage('Position cursor on a comment line (starting with #)');
+      if (!prompt) {
+        vscode.window.showInformationMessage('Position cursor on a comment (starting with #) or in a POD section');
         return;
       }
 
-      const comment = line.replace(/^(\s*#\s?)/, '').trim();
+      const comment = prompt.instruction;
       if (!comment) {
         vscode.window.showInformationMessage('Comment is empty');
         return;
@@ -199,6 +215,7 @@ function registerCommands(context, { config, logError, logInfo, initializeCodeba
 
         output.show();
       } catch (error) {
+        if (isCancellationError(error)) return;
         logError('Error finding relevant code:', error);
         vscode.window.showErrorMessage(`Failed to find relevant code: ${error.message}`);
       }
@@ -278,5 +295,116 @@ function registerCommands(context, { config, logError, logInfo, initializeCodeba
       }
     })
   );
+
+  // Command: Clear the persistent completion cache
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.clearCompletionCache', async () => {
+      const cache = getCompletionCache();
+      if (!cache) {
+        vscode.window.showInformationMessage('Completion cache is not initialized');
+        return;
+      }
+
+      try {
+        const count = cache.size;
+        await cache.clear();
+        logInfo(`Cleared ${count} cached completions`);
+        vscode.window.showInformationMessage(`Cleared ${count} cached completions`);
+      } catch (error) {
+        logError('Error clearing completion cache:', error);
+        vscode.window.showErrorMessage(`Failed to clear completion cache: ${error.message}`);
+      }
+    })
+  );
+
+  // Command: Clear the suggestion history of this workspace
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.clearSuggestionHistory', async () => {
+      const history = getSuggestionHistory();
+      if (!history || history.entries.length === 0) {
+        vscode.window.showInformationMessage('Suggestion history is empty');
+        return;
+      }
+
+      const choice = await vscode.window.showWarningMessage(
+        `Clear ${history.entries.length} suggestion history entries?`,
+        { modal: true },
+        'Clear'
+      );
+      if (choice !== 'Clear') return;
+
+      history.clear();
+      logInfo('Cleared suggestion history');
+    })
+  );
+
+  // Command: Check the current file for errors now, even if it was already checked
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.checkErrors', async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || editor.document.languageId !== 'perl') {
+        vscode.window.showInformationMessage('Open a Perl file to check it for errors');
+        return;
+      }
+
+      await vscode.window.withProgress(
+        { location: vscode.ProgressLocation.Window, title: 'Checking for errors...' },
+        () => getErrorCheckScheduler().checkNow(editor.document, { force: true })
+      );
+    })
+  );
+
+  // Command: Store the backend API token in SecretStorage
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.setApiToken', async () => {
+      const token = await vscode.window.showInputBox({
+        prompt: `API token for ${api.baseUrl}`,
+        password: true,
+        ignoreFocusOut: true
+      });
+      if (token === undefined) return;
+
+      try {
+        await api.setToken(token.trim());
+        vscode.window.showInformationMessage(token.trim() ? 'Backend API token saved' : 'Backend API token removed');
+      } catch (error) {
+        logError('Error saving API token:', error);
+        vscode.window.showErrorMessage(`Failed to save API token: ${error.message}`);
+      }
+    })
+  );
+
+  // Command: Store the API key for OpenAI-compatible / Ollama providers
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.setLlmApiKey', async () => {
+      const key = await vscode.window.showInputBox({
+        prompt: 'API key for the OpenAI-compatible or Ollama endpoint (leave empty to remove)',
+        password: true,
+        ignoreFocusOut: true
+      });
+      if (key === undefined) return;
+
+      try {
+        await llmClient.setToken(key.trim());
+        vscode.window.showInformationMessage(key.trim() ? 'LLM API key saved' : 'LLM API key removed');
+      } catch (error) {
+        logError('Error saving LLM API key:', error);
+        vscode.window.showErrorMessage(`Failed to save LLM API key: ${error.message}`);
+      }
+    })
+  );
+
+  // Command: Remove the backend API token
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.clearApiToken', async () => {
+      try {
+        await api.setToken('');
+        vscode.window.showInformationMessage('Backend API token removed');
+      } catch (error) {
+        logError('Error removing API token:', error);
+        vscode.window.showErrorMessage(`Failed to remove API token: ${error.message}`);
+      }
+    })
+  );
 }
 module.exports = { registerCommands };
\ No newline at end of file
@@ -0,0 +1,197 @@
+const vscode = require('vscode');
+
+const SUGGESTION_SCHEME = 'perl-suggestion';
+
+/**
+ * Serves the read-only documents shown on both sides of the suggestion diff
+ */
+class SuggestionContentProvider {
+  constructor() {
+    this.contents = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Registers content and returns the uri that serves it
+   * @param {string} label - File name shown in the editor tab
+   * @param {string} content - Document text
+   * @returns {vscode.Uri}
+   */
+  register(label, content) {
+    const uri = vscode.Uri.from({ scheme: SUGGESTION_SCHEME, path: `/${this.nextId++}/${label}` });
+    this.contents.set(uri.toString(), content);
+    return uri;
+  }
+
+  provideTextDocumentContent(uri) {
+    return this.contents.get(uri.toString()) || '';
+  }
+
+  /**
+   * Drops the content of the diffs in closed tabs unless another tab still shows them
+   * @param {readonly vscode.Tab[]} closedTabs - Tabs that were closed
+   */
+  releaseClosed(closedTabs) {
+    const closed = suggestionUris(closedTabs);
+    if (closed.length === 0) return;
+    const open = new Set(suggestionUris(vscode.window.tabGroups.all.flatMap(group => group.tabs)));
+    for (const uri of closed) {
+      if (!open.has(uri)) this.contents.delete(uri);
+    }
+  }
+}
+
+// The suggestion documents shown in tabs, as uri strings
+function suggestionUris(tabs) {
+  const uris = [];
+  for (const { input } of tabs) {
+    if (input instanceof vscode.TabInputTextDiff) uris.push(input.original, input.modified);
+    else if (input instanceof vscode.TabInputText) uris.push(input.uri);
+  }
+  return uris.filter(uri => uri.scheme === SUGGESTION_SCHEME).map(uri => uri.toString());
+}
+
+/**
+ * Finds where the original selection is now. The stored range is used if the
+ * text there is unchanged; otherwise the selected text is searched for, in
+ * case edits above it moved it.
+ * @param {vscode.TextDocument} doc - Document the suggestion applies to
+ * @param {object} source - uri, range and text of the original selection
+ * @returns {vscode.Range|null} null when the selected code is no longer in the document
+ */
+function resolveSourceRange(doc, source) {
+  // Generated code goes below a line; there is no selection to verify
+  if (source.kind === 'insertion') return source.range.end.line < doc.lineCount ? source.range : null;
+  if (doc.getText(source.range) === source.text) return source.range;
+
+  const index = doc.getText().indexOf(source.text);
+  if (index === -1) return null;
+  return new vscode.Range(doc.positionAt(index), doc.positionAt(index + source.text.length));
+}
+
+/**
+ * Closes the diff editors showing a suggestion, wherever they are
+ * @param {vscode.Uri} proposed - Uri of the suggestion side of the diff
+ */
+async function closeDiff(proposed) {
+  const tabs = vscode.window.tabGroups.all
+    .flatMap(group => group.tabs)
+    .filter(tab => tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.toString() === proposed.toString());
+  if (tabs.length > 0) await vscode.window.tabGroups.close(tabs);
+}
+
+/**
+ * Re-indents code to the indentation of the line it is applied to
+ * @param {string} code - Suggested code
+ * @param {string} indent - Indentation of the target line
+ * @param {boolean} indentFirstLine - False when the first line continues existing text
+ */
+function reindent(code, indent, indentFirstLine) {
+  const lines = code.replace(/\s+$/, '').split('\n');
+  const common = Math.min(...lines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+  return lines
+    .map((line, i) => {
+      if (!line.trim()) return '';
+      const body = line.slice(common);
+      return i === 0 && !indentFirstLine ? body : indent + body;
+    })
+    .join('\n');
+}
+
+/**
+ * Applies a suggestion to the document it was generated for
+ * @param {object} item - Tree item carrying suggestion and source
+ * @param {'replace'|'insertBelow'} mode - How to apply it
+ * @returns {Promise<boolean>} Whether the edit was applied
+ */
+async function applySuggestion(item, mode) {
+  const { suggestion, source } = item;
+  const doc = await vscode.workspace.openTextDocument(source.uri);
+  const range = resolveSourceRange(doc, source);
+  if (!range) {
+    vscode.window.showWarningMessage('The code this suggestion was generated for has changed or was removed; generate a new suggestion for it.');
+    return false;
+  }
+
+  const editor = await vscode.window.showTextDocument(doc, { preserveFocus: false });
+  const indent = doc.lineAt(range.start.line).text.match(/^\s*/)[0];
+
+  const applied = await editor.edit(editBuilder => {
+    if (mode === 'replace' && source.kind !== 'insertion') {
+      editBuilder.replace(range, reindent(suggestion, indent, range.start.character === 0));
+    } else {
+      const lineEnd = doc.lineAt(range.end.line).range.end;
+      editBuilder.insert(lineEnd, '\n' + reindent(suggestion, indent, true));
+    }
+  });
+
+  if (!applied) {
+    vscode.window.showErrorMessage('Failed to apply the suggestion.');
+  }
+  return applied;
+}
+
+/**
+ * Registers the context menu actions of the suggestions sidebar
+ * @param {vscode.ExtensionContext} context - The extension context.
+ * @param {object} dependencies - logError, and onApplied(item) called after a suggestion is applied
+ */
+function registerSuggestionActions(context, { logError, onApplied = () => {} }) {
+  const contentProvider = new SuggestionContentProvider();
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(SUGGESTION_SCHEME, contentProvider),
+    vscode.window.tabGroups.onDidChangeTabs(({ closed }) => contentProvider.releaseClosed(closed))
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlCodeGen.replaceSelection', async item => {
+      try {
+        if (await applySuggestion(item, 'replace')) onApplied(item);
+      } catch (error) {
+        logError('Error replacing selection with suggestion:', error);
+        vscode.window.showErrorMessage(`Failed to apply suggestion: ${error.message}`);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlCodeGen.insertSuggestionBelow', async item => {
+      try {
+        if (await applySuggestion(item, 'insertBelow')) onApplied(item);
+      } catch (error) {
+        logError('Error inserting suggestion:', error);
+        vscode.window.showErrorMessage(`Failed to insert suggestion: ${error.message}`);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlCodeGen.diffSuggestion', async item => {
+      try {
+        const { suggestion, source } = item;
+        const original = contentProvider.register('Selection.pl', source.text);
+        const proposed = contentProvider.register('Suggestion.pl', suggestion);
+        await vscode.commands.executeCommand('vscode.diff', original, proposed, `Selection ↔ ${item.label}`, {
+          preview: true,
+          viewColumn: vscode.ViewColumn.Beside
+        });
+
+        const choice = await vscode.window.showInformationMessage(
+          `Apply ${item.label}?`,
+          'Replace Selection',
+          'Insert Below'
+        );
+        if (choice) {
+          // Close the diff, which may no longer be the active editor, before editing the source document
+          await closeDiff(proposed);
+          if (await applySuggestion(item, choice === 'Replace Selection' ? 'replace' : 'insertBelow')) onApplied(item);
+        }
+      } catch (error) {
+        logError('Error showing suggestion diff:', error);
+        vscode.window.showErrorMessage(`Failed to show diff: ${error.message}`);
+      }
+    })
+  );
+}
+
+module.exports = { registerSuggestionActions, applySuggestion };
@@ -0,0 +1,66 @@
+// Trigger heuristics for fill-in-the-middle completion of ordinary Perl code
+
+const DEFAULT_TRIGGER_PATTERNS = [
+  // Method calls and package-qualified names
+  '(->|::)\\s*$',
+  // Variable declarations
+  '\\b(my|our|local|state)\\s+[$@%]\\w*$',
+  // Control structures
+  '\\b(if|elsif|unless|while|until|for|foreach)\\s*\\(?\\s*$',
+  // Function calls
+  '\\w+\\s*\\($',
+  // Hash/array access
+  '[$@%]\\w+[\\[{]$',
+];
+
+/**
+ * Compiles the configured trigger patterns, skipping invalid ones
+ * @param {string[]} patterns - Regular expression sources
+ * @param {(message: string, error?: Error) => void} [onInvalid] - Called for each invalid pattern
+ * @returns {RegExp[]}
+ */
+function compileTriggerPatterns(patterns, onInvalid) {
+  const compiled = [];
+  for (const source of patterns || []) {
+    try {
+      compiled.push(new RegExp(source));
+    } catch (err) {
+      if (onInvalid) onInvalid(`Ignoring invalid completion trigger pattern: ${source}`, err);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Checks whether the line ends a complete statement, so there is nothing to complete
+ * @param {string} line - The full line text
+ * @returns {boolean}
+ */
+function isLineComplete(line) {
+  const trimmed = line.trim();
+  // A brace that opens a block ends the line; one after a variable name starts a hash subscript
+  return trimmed.endsWith(';') || trimmed.endsWith('}') || /(^|[\s)])\{$/.test(trimmed);
+}
+
+/**
+ * Decides whether typing should request a code completion at the cursor
+ * @param {string} linePrefix - Line text up to the cursor
+ * @param {string} lineText - The full line text
+ * @param {RegExp[]} patterns - Compiled trigger patterns
+ * @returns {boolean}
+ */
+function shouldTriggerCompletion(linePrefix, lineText, patterns) {
+  const trimmed = linePrefix.trim();
+  if (!trimmed || trimmed.startsWith('#')) return false;
+  // Inside POD the text is documentation, not code
+  if (/^=[a-zA-Z]/.test(trimmed)) return false;
+  if (linePrefix.length === lineText.length && isLineComplete(lineText)) return false;
+  return patterns.some(pattern => pattern.test(linePrefix));
+}
+
+module.exports = {
+  DEFAULT_TRIGGER_PATTERNS,
+  compileTriggerPatterns,
+  isLineComplete,
+  shouldTriggerCompletion,
+};
@@ -0,0 +1,129 @@
+const vscode = require('vscode');
+const { getProvider } = require('../providers');
+const { toAbortSignal, isCancellationError } = require('../utils/cancellation');
+
+const FIX_COMMAND = 'perlCodeGen.fixWithAi';
+// Lines of surrounding code sent with the snippet
+const SURROUNDING_LINES = 40;
+
+/**
+ * Offers "Fix with AI" on the diagnostics of the AI error check
+ */
+class AiFixCodeActionProvider {
+  static providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+  /**
+   * @param {string} diagnosticSource - Source label of the diagnostics to offer fixes for
+   */
+  constructor(diagnosticSource) {
+    this.diagnosticSource = diagnosticSource;
+  }
+
+  provideCodeActions(doc, range, context) {
+    return context.diagnostics
+      .filter(diagnostic => diagnostic.source === this.diagnosticSource)
+      .map(diagnostic => {
+        const action = new vscode.CodeAction('Fix with AI', vscode.CodeActionKind.QuickFix);
+        action.diagnostics = [diagnostic];
+        action.command = {
+          command: FIX_COMMAND,
+          title: 'Fix with AI',
+          arguments: [doc.uri, diagnostic]
+        };
+        return action;
+      });
+  }
+}
+
+/**
+ * Asks the provider for a fix of the lines a diagnostic covers
+ * @param {vscode.TextDocument} doc - Document with the error
+ * @param {vscode.Range} range - Whole lines around the error
+ * @param {vscode.Diagnostic} diagnostic - The reported error
+ * @param {Function} generateContext - generateContextForComments
+ * @param {vscode.CancellationToken} token - Cancels the request
+ * @returns {Promise<string>} Replacement for the lines
+ */
+async function requestFix(doc, range, diagnostic, generateContext, token) {
+  const context = await generateContext(diagnostic.message, doc, range.start, token);
+  const prefixStart = Math.max(0, range.start.line - SURROUNDING_LINES);
+  const suffixEnd = Math.min(doc.lineCount - 1, range.end.line + SURROUNDING_LINES);
+
+  const abort = toAbortSignal(token);
+  try {
+    return await getProvider().fixCode({
+      snippet: doc.getText(range),
+      range: { startLine: range.start.line + 1, endLine: range.end.line + 1 },
+      message: diagnostic.message,
+      codePrefix: doc.getText(new vscode.Range(prefixStart, 0, range.start.line, 0)),
+      codeSuffix: doc.getText(new vscode.Range(range.end, doc.lineAt(suffixEnd).range.end)),
+      context
+    }, { signal: abort.signal });
+  } finally {
+    abort.dispose();
+  }
+}
+
+/**
+ * Registers the "Fix with AI" quick fix and the command it runs
+ * @param {vscode.ExtensionContext} context - The extension context.
+ * @param {object} dependencies - logError, generateContext, diagnosticSource and
+ *   getPreview() telling whether edits are shown in the refactor preview first
+ */
+function registerAiFixActions(context, { logError, generateContext, diagnosticSource, getPreview }) {
+  context.subscriptions.push(
+    vscode.languages.registerCodeActionsProvider(
+      { language: 'perl' },
+      new AiFixCodeActionProvider(diagnosticSource),
+      { providedCodeActionKinds: AiFixCodeActionProvider.providedCodeActionKinds }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand(FIX_COMMAND, async (uri, diagnostic) => {
+      const doc = await vscode.workspace.openTextDocument(uri);
+      const range = new vscode.Range(
+        diagnostic.range.start.line, 0,
+        diagnostic.range.end.line, doc.lineAt(diagnostic.range.end.line).text.length
+      );
+      const snippet = doc.getText(range);
+
+      let fix;
+      try {
+        fix = await vscode.window.withProgress(
+          { location: vscode.ProgressLocation.Notification, title: 'Fixing with AI...', cancellable: true },
+          (progress, token) => requestFix(doc, range, diagnostic, generateContext, token)
+        );
+      } catch (error) {
+        if (isCancellationError(error)) return;
+        logError('Error requesting fix:', error);
+        const message = error.response && error.response.status === 404
+          ? 'The backend does not provide /fixCode/.'
+          : error.message;
+        vscode.window.showErrorMessage(`Failed to fix the error: ${message}`);
+        return;
+      }
+
+      const replacement = (fix || '').replace(/\n+$/, '');
+      if (!replacement.trim() || replacement === snippet) {
+        vscode.window.showInformationMessage('No fix was proposed for this error.');
+        return;
+      }
+      // The user may have kept typing while the fix was generated
+      if (doc.getText(range) !== snippet) {
+        vscode.window.showWarningMessage('The code changed while the fix was generated; run "Fix with AI" again.');
+        return;
+      }
+
+      const edit = new vscode.WorkspaceEdit();
+      edit.replace(uri, range, replacement, {
+        needsConfirmation: getPreview(),
+        label: 'Fix with AI',
+        description: diagnostic.message
+      });
+      await vscode.workspace.applyEdit(edit);
+    })
+  );
+}
+
+module.exports = { AiFixCodeActionProvider, registerAiFixActions };
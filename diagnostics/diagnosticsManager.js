@@ -0,0 +1,53 @@
+/**
+ * Merges diagnostics from several sources (AI check, perl -c, ...) into one
+ * DiagnosticCollection, so each source can update its findings without
+ * overwriting the others'.
+ */
+class DiagnosticsManager {
+  /**
+   * @param {vscode.DiagnosticCollection} collection - Collection the merged diagnostics are shown in
+   */
+  constructor(collection) {
+    this.collection = collection;
+    this.bySource = new Map(); // uri string -> Map(source -> Diagnostic[])
+  }
+
+  /**
+   * Replaces one source's diagnostics for a document
+   * @param {vscode.Uri} uri - Document uri
+   * @param {string} source - Source label
+   * @param {vscode.Diagnostic[]} diagnostics - The source's current findings
+   */
+  set(uri, source, diagnostics) {
+    const key = uri.toString();
+    if (!this.bySource.has(key)) this.bySource.set(key, new Map());
+    this.bySource.get(key).set(source, diagnostics);
+    this.collection.set(uri, [].concat(...this.bySource.get(key).values()));
+  }
+
+  /**
+   * @param {vscode.Uri} uri - Document uri
+   * @param {string} source - Source label
+   * @returns {vscode.Diagnostic[]}
+   */
+  get(uri, source) {
+    const sources = this.bySource.get(uri.toString());
+    return (sources && sources.get(source)) || [];
+  }
+
+  /**
+   * Removes every source's diagnostics for a document
+   * @param {vscode.Uri} uri - Document uri
+   */
+  delete(uri) {
+    this.bySource.delete(uri.toString());
+    this.collection.delete(uri);
+  }
+
+  dispose() {
+    this.bySource.clear();
+    this.collection.dispose();
+  }
+}
+
+module.exports = { DiagnosticsManager };
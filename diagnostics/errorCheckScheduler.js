@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { CancellationError, isCancellationError } = require('../utils/cancellation');
+
+/**
+ * Decides when each error check runs, per document:
+ * - in 'idle' mode a document is checked once typing pauses, in 'save' mode
+ *   only when it is saved (and when it is opened)
+ * - a new run cancels the previous run of the same check for the same
+ *   document only, so switching editors does not cancel other files' checks
+ * - a check is skipped when the content is unchanged since its last successful run
+ * - checks registered as limited (backend requests) run at most
+ *   maxConcurrent at a time
+ */
+class ErrorCheckScheduler {
+  /**
+   * @param {object} options - mode ('idle' | 'save'), idleDelay (ms), maxConcurrent, and onError(name, doc, err)
+   */
+  constructor({ onError = () => {}, ...options } = {}) {
+    this.onError = onError;
+    this.checks = [];
+    this.documents = new Map(); // uri string -> { timer, controllers: Map, hashes: Map }
+    this.active = 0;
+    this.queue = [];
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - mode, idleDelay and maxConcurrent
+   */
+  configure({ mode = 'idle', idleDelay = 2000, maxConcurrent = 2 } = {}) {
+    this.mode = mode;
+    this.idleDelay = idleDelay;
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    // A higher limit can start queued checks right away
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      this.active++;
+      this.queue.shift().resolve();
+    }
+  }
+
+  /**
+   * Registers a check
+   * @param {string} name - Unique name, e.g. the diagnostic source
+   * @param {(doc: vscode.TextDocument, signal: AbortSignal, options: {force: boolean}) => Promise<void>} run - Runs the check
+   *   and shows its results; throws on failure. force is set when the user asked for a full check
+   * @param {object} [options] - limited: counts against maxConcurrent
+   */
+  addCheck(name, run, { limited = false } = {}) {
+    this.checks.push({ name, run, limited });
+  }
+
+  /**
+   * Reacts to an editor event
+   * @param {vscode.TextDocument} doc - The document concerned
+   * @param {'change'|'save'|'open'} trigger - What happened
+   */
+  handle(doc, trigger) {
+    if (doc.languageId !== 'perl') return;
+    if (trigger === 'save') {
+      this._clearTimer(doc);
+      this.checkNow(doc);
+    } else if (trigger === 'open' || this.mode === 'idle') {
+      this._schedule(doc);
+    }
+  }
+
+  /**
+   * Runs the checks on a document now
+   * @param {vscode.TextDocument} doc - Document to check
+   * @param {object} [options] - force: run even if the content is unchanged;
+   *   only: names of the checks to run (default all); signal: cancels the checks
+   * @returns {Promise<Array<{name: string, error: Error}>>} The checks that failed,
+   *   once all checks have finished
+   */
+  checkNow(doc, { force = false, only = null, signal = null } = {}) {
+    const state = this._getState(doc.uri);
+    const hash = crypto.createHash('sha1').update(doc.getText()).digest('hex');
+    return Promise.all(
+      this.checks
+        .filter(check => !only || only.includes(check.name))
+        .filter(check => force || state.hashes.get(check.name) !== hash)
+        .map(check => this._run(check, doc, state, hash, { signal, force }))
+    ).then(failures => failures.filter(Boolean));
+  }
+
+  /**
+   * Forgets what was checked, so the next event checks again (e.g. after a
+   * settings change)
+   */
+  invalidate() {
+    for (const state of this.documents.values()) state.hashes.clear();
+  }
+
+  /**
+   * Cancels everything for a closed document
+   * @param {vscode.Uri} uri - Document uri
+   */
+  forget(uri) {
+    const state = this.documents.get(uri.toString());
+    if (!state) return;
+    clearTimeout(state.timer);
+    for (const controller of state.controllers.values()) controller.abort();
+    this.documents.delete(uri.toString());
+  }
+
+  dispose() {
+    for (const key of [...this.documents.keys()]) {
+      const state = this.documents.get(key);
+      clearTimeout(state.timer);
+      for (const controller of state.controllers.values()) controller.abort();
+    }
+    this.documents.clear();
+  }
+
+  async _run(check, doc, state, hash, { signal, force }) {
+    const previous = state.controllers.get(check.name);
+    if (previous) previous.abort();
+    const controller = new AbortController();
+    state.controllers.set(check.name, controller);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let acquired = false;
+    try {
+      if (check.limited) {
+        await this._acquire(controller.signal);
+        acquired = true;
+      }
+      if (controller.signal.aborted) throw new CancellationError();
+      await check.run(doc, controller.signal, { force });
+      if (!controller.signal.aborted) state.hashes.set(check.name, hash);
+      return null;
+    } catch (err) {
+      if (isCancellationError(err)) return null;
+      this.onError(check.name, doc, err);
+      return { name: check.name, error: err };
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (acquired) this._release();
+      if (state.controllers.get(check.name) === controller) state.controllers.delete(check.name);
+    }
+  }
+
+  _schedule(doc) {
+    const state = this._getState(doc.uri);
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.checkNow(doc);
+    }, this.idleDelay);
+  }
+
+  _clearTimer(doc) {
+    const state = this.documents.get(doc.uri.toString());
+    if (state) clearTimeout(state.timer);
+  }
+
+  _getState(uri) {
+    const key = uri.toString();
+    if (!this.documents.has(key)) {
+      this.documents.set(key, { timer: null, controllers: new Map(), hashes: new Map() });
+    }
+    return this.documents.get(key);
+  }
+
+  _acquire(signal) {
+    if (signal.aborted) return Promise.reject(new CancellationError());
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      const onAbort = () => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        reject(new CancellationError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  // Hands the slot to the next queued check, if any
+  _release() {
+    const next = this.queue.shift();
+    if (next) next.resolve();
+    else this.active--;
+  }
+}
+
+module.exports = { ErrorCheckScheduler };
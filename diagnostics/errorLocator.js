@@ -0,0 +1,168 @@
+const vscode = require('vscode');
+
+const SEVERITIES = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+  warn: vscode.DiagnosticSeverity.Warning,
+  info: vscode.DiagnosticSeverity.Information,
+  information: vscode.DiagnosticSeverity.Information,
+  hint: vscode.DiagnosticSeverity.Hint,
+};
+
+// Minimum token overlap for a line to count as a fuzzy match of the chunk's first line
+const MIN_LINE_SIMILARITY = 0.6;
+// A first line shorter than this (`}`, `return;`) only counts when it matches a single line
+const MIN_FUZZY_LENGTH = 12;
+
+/**
+ * Turns the errors reported by `/checkErrors/` into diagnostics. An error is
+ * placed by its `line`/`column`/`endLine`/`endColumn` (1-based) when present;
+ * otherwise its `code_chunk` is searched for, ignoring whitespace differences
+ * and preferring occurrences not already taken by another error.
+ * @param {vscode.TextDocument} doc - The checked document
+ * @param {Array<object>} errors - Errors in the backend's format
+ * @param {string} source - Diagnostic source label
+ * @returns {{diagnostics: vscode.Diagnostic[], unlocated: Array<object>}} Diagnostics, and the errors that could not be placed
+ */
+function createErrorDiagnostics(doc, errors, source) {
+  const diagnostics = [];
+  const unlocated = [];
+  const taken = new Set();
+
+  for (const error of errors) {
+    const range = locateError(doc, error, taken);
+    if (!range || !error.message) {
+      unlocated.push(error);
+      continue;
+    }
+    taken.add(range.start.line);
+
+    const diagnostic = new vscode.Diagnostic(range, error.message, toSeverity(error.severity));
+    diagnostic.source = source;
+    if (error.code) diagnostic.code = String(error.code);
+    diagnostics.push(diagnostic);
+  }
+
+  return { diagnostics, unlocated };
+}
+
+/**
+ * @param {string} [severity] - error, warning, info or hint
+ * @returns {vscode.DiagnosticSeverity} Error when missing or unknown
+ */
+function toSeverity(severity) {
+  const value = SEVERITIES[String(severity || '').toLowerCase()];
+  return value === undefined ? vscode.DiagnosticSeverity.Error : value;
+}
+
+/**
+ * Finds the range an error refers to
+ * @param {vscode.TextDocument} doc - The checked document
+ * @param {object} error - line/column/endLine/endColumn (1-based) and/or code_chunk
+ * @param {Set<number>} [taken] - Start lines already used by other errors
+ * @returns {vscode.Range|null}
+ */
+function locateError(doc, error, taken = new Set()) {
+  const line = toLineIndex(doc, error.line);
+  if (line !== null) {
+    // A chunk on or next to the reported line pins down the columns
+    if (error.code_chunk && !Number.isInteger(error.column)) {
+      const nearby = findChunk(doc, error.code_chunk, line, taken);
+      if (nearby && Math.abs(nearby.start.line - line) <= 1) return nearby;
+    }
+    return rangeFromPosition(doc, line, error);
+  }
+
+  if (error.code_chunk) return findChunk(doc, error.code_chunk, null, taken);
+  return null;
+}
+
+function toLineIndex(doc, line) {
+  if (!Number.isInteger(line) || line < 1 || line > doc.lineCount) return null;
+  return line - 1;
+}
+
+function rangeFromPosition(doc, line, { column, endLine, endColumn }) {
+  const text = doc.lineAt(line).text;
+  const firstNonBlank = text.length - text.trimStart().length;
+  const startCharacter = Number.isInteger(column) ? clamp(column - 1, 0, text.length) : firstNonBlank;
+
+  const lastLine = toLineIndex(doc, endLine);
+  const end = lastLine !== null && lastLine >= line ? lastLine : line;
+  const endText = doc.lineAt(end).text;
+  let endCharacter = Number.isInteger(endColumn) ? clamp(endColumn - 1, 0, endText.length) : endText.trimEnd().length;
+  // Make a single position visible
+  if (end === line && endCharacter <= startCharacter) endCharacter = Math.max(startCharacter + 1, text.trimEnd().length);
+
+  return new vscode.Range(line, startCharacter, end, endCharacter);
+}
+
+/**
+ * Searches for a chunk of code: first ignoring whitespace differences, then by
+ * matching its first line approximately against each document line. A short
+ * first line is only matched approximately when a single line fits.
+ * @param {vscode.TextDocument} doc - The checked document
+ * @param {string} chunk - Code copied from the document by the backend
+ * @param {number|null} hintLine - Line the chunk is expected near
+ * @param {Set<number>} taken - Start lines already used by other errors
+ * @returns {vscode.Range|null}
+ */
+function findChunk(doc, chunk, hintLine, taken) {
+  const tokens = chunk.split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const text = doc.getText();
+  const pattern = new RegExp(tokens.map(escapeRegExp).join('\\s+'), 'g');
+  const exact = [...text.matchAll(pattern)].map(
+    match => new vscode.Range(doc.positionAt(match.index), doc.positionAt(match.index + match[0].length))
+  );
+  if (exact.length > 0) return pickOccurrence(exact, hintLine, taken);
+
+  const chunkLines = chunk.split('\n').map(normalize).filter(Boolean);
+  const firstLine = chunkLines[0];
+  const candidates = [];
+  for (let line = 0; line < doc.lineCount; line++) {
+    const docLine = normalize(doc.lineAt(line).text);
+    if (!docLine) continue;
+    if (docLine.includes(firstLine) || similarity(docLine, firstLine) >= MIN_LINE_SIMILARITY) {
+      const end = Math.min(line + chunkLines.length - 1, doc.lineCount - 1);
+      candidates.push(rangeFromPosition(doc, line, { endLine: end + 1 }));
+    }
+  }
+  if (candidates.length === 0) return null;
+  if (firstLine.length < MIN_FUZZY_LENGTH && candidates.length > 1) return null;
+  return pickOccurrence(candidates, hintLine, taken);
+}
+
+// Prefers occurrences no other error points at, then the one nearest the hint
+function pickOccurrence(ranges, hintLine, taken) {
+  const free = ranges.filter(range => !taken.has(range.start.line));
+  const pool = free.length > 0 ? free : ranges;
+  if (hintLine === null) return pool[0];
+  return pool.reduce((best, range) =>
+    Math.abs(range.start.line - hintLine) < Math.abs(best.start.line - hintLine) ? range : best
+  );
+}
+
+function normalize(line) {
+  return line.trim().replace(/\s+/g, ' ');
+}
+
+// Dice coefficient over the lines' tokens
+function similarity(a, b) {
+  const tokensA = a.split(/\W+/).filter(Boolean);
+  const tokensB = new Set(b.split(/\W+/).filter(Boolean));
+  if (tokensA.length === 0 || tokensB.size === 0) return 0;
+  const shared = tokensA.filter(token => tokensB.has(token)).length;
+  return (2 * shared) / (tokensA.length + tokensB.size);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+module.exports = { createErrorDiagnostics, locateError, toSeverity };
@@ -0,0 +1,294 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { parsePerl } = require('../parsers/treeSitter');
+const { createErrorDiagnostics } = require('./errorLocator');
+
+/**
+ * Lines of code sent to the backend, with the document line each came from.
+ * Implements the parts of vscode.TextDocument that createErrorDiagnostics uses.
+ */
+class SnippetDocument {
+  constructor() {
+    this.lines = [];
+    this.lineMap = []; // snippet line -> document line, or -1 for placeholders
+    this.units = []; // snippet line -> key of the subroutine it belongs to, or null
+  }
+
+  add(text, docLine, unit = null) {
+    this.lines.push(text);
+    this.lineMap.push(docLine);
+    this.units.push(unit);
+  }
+
+  get lineCount() {
+    return this.lines.length;
+  }
+
+  lineAt(line) {
+    return { text: this.lines[line] };
+  }
+
+  getText() {
+    return this.lines.join('\n');
+  }
+
+  positionAt(offset) {
+    let line = 0;
+    while (line < this.lines.length - 1 && offset > this.lines[line].length) {
+      offset -= this.lines[line].length + 1;
+      line++;
+    }
+    return new vscode.Position(line, offset);
+  }
+}
+
+/**
+ * Checks documents with the AI checker, sending only the subroutines that
+ * changed since the last check. Unchanged subroutines are collapsed to
+ * `sub name { ... }` and keep their previous diagnostics, moved along when
+ * lines are inserted above them. Code outside subroutines (package, use
+ * statements, globals) is always sent, so each request carries the package
+ * and import context; POD and everything after __END__/__DATA__ is left out.
+ * Without the tree-sitter parser the whole document is sent.
+ */
+class IncrementalErrorChecker {
+  /**
+   * @param {(code: string, signal: AbortSignal) => Promise<Array<object>>} checkCode - Sends code to the backend
+   * @param {string} source - Diagnostic source label
+   */
+  constructor(checkCode, source) {
+    this.checkCode = checkCode;
+    this.source = source;
+    // uri string -> { subs: Map(sub key -> { hash, diagnostics relative to the sub's first line }),
+    //   outlineHash, topLevel: diagnostics outside subs, in outline lines }
+    this.documents = new Map();
+  }
+
+  /**
+   * Checks a document
+   * @param {vscode.TextDocument} doc - Document to check
+   * @param {AbortSignal} signal - Cancels the backend request
+   * @param {object} [options] - force: send every subroutine
+   * @returns {Promise<{diagnostics: vscode.Diagnostic[], unlocated: Array<object>, sentLines: number, skipped: number}>}
+   *   The document's diagnostics, the errors that could not be placed (including
+   *   those reported on collapsed subroutines), the number of lines sent (0 when
+   *   nothing that is sent changed) and the number of subroutines that were not sent
+   */
+  async check(doc, signal, { force = false } = {}) {
+    const key = doc.uri.toString();
+    const units = splitSubroutines(doc);
+    if (!units) {
+      return this.checkWhole(doc, signal);
+    }
+
+    const previous = (!force && this.documents.get(key)) || { subs: new Map(), outlineHash: null, topLevel: [] };
+    const changed = new Set(units.subs.filter(sub => {
+      const known = previous.subs.get(sub.key);
+      return !known || known.hash !== sub.hash;
+    }).map(sub => sub.key));
+
+    const snippet = buildSnippet(doc, units, changed);
+    const text = snippet.getText();
+    // The code with every subroutine collapsed, which is what is sent when none changed
+    const outline = changed.size === 0 ? snippet : buildSnippet(doc, units, new Set());
+    const outlineHash = crypto.createHash('sha1').update(outline.getText()).digest('hex');
+
+    // Only lines outside the sent code moved (e.g. POD was edited): nothing to send
+    let found = previous.topLevel;
+    let unlocated = [];
+    const unchanged = changed.size === 0 && outlineHash === previous.outlineHash;
+    if (!unchanged) {
+      const errors = await this.checkCode(text, signal);
+      if (!Array.isArray(errors)) {
+        throw new Error(`Received invalid error format from API: ${JSON.stringify(errors)}`);
+      }
+      ({ diagnostics: found, unlocated } = createErrorDiagnostics(snippet, errors, this.source));
+    }
+
+    const subs = new Map();
+    for (const sub of units.subs) {
+      subs.set(sub.key, changed.has(sub.key) ? { hash: sub.hash, diagnostics: [] } : previous.subs.get(sub.key));
+    }
+    const topLevel = [];
+
+    const diagnostics = [];
+    for (const diagnostic of found) {
+      const line = diagnostic.range.start.line;
+      const docLine = snippet.lineMap[line];
+      if (docLine < 0) {
+        // Reported on a collapsed subroutine, which the backend only saw as a placeholder
+        unlocated.push({ message: diagnostic.message, code_chunk: snippet.lineAt(line).text });
+        continue;
+      }
+      const unit = snippet.units[line];
+      const endLine = snippet.units[diagnostic.range.end.line] === unit && snippet.lineMap[diagnostic.range.end.line] >= 0
+        ? snippet.lineMap[diagnostic.range.end.line]
+        : docLine;
+      const endCharacter = endLine === docLine && diagnostic.range.end.line !== line
+        ? doc.lineAt(docLine).text.length
+        : diagnostic.range.end.character;
+      const range = new vscode.Range(docLine, diagnostic.range.start.character, endLine, endCharacter);
+
+      if (unit === null) {
+        // Kept in outline lines, which stay the same while no code outside the subs changes
+        const outlineRange = new vscode.Range(
+          outline.lineMap.indexOf(docLine), range.start.character, outline.lineMap.indexOf(endLine), range.end.character
+        );
+        topLevel.push(copyDiagnostic(diagnostic, outlineRange));
+        diagnostics.push(copyDiagnostic(diagnostic, range));
+      } else {
+        // Kept relative to the sub, so it can follow the sub when lines above change
+        const start = units.subs.find(sub => sub.key === unit).startLine;
+        subs.get(unit).diagnostics.push(copyDiagnostic(diagnostic, shiftRange(range, -start)));
+      }
+    }
+
+    for (const sub of units.subs) {
+      for (const diagnostic of subs.get(sub.key).diagnostics) {
+        diagnostics.push(copyDiagnostic(diagnostic, shiftRange(diagnostic.range, sub.startLine)));
+      }
+    }
+    this.documents.set(key, { subs, outlineHash, topLevel });
+
+    return {
+      diagnostics,
+      unlocated,
+      sentLines: unchanged ? 0 : snippet.lineCount,
+      skipped: units.subs.length - changed.size
+    };
+  }
+
+  /**
+   * Checks a document by sending all of it
+   * @param {vscode.TextDocument} doc - Document to check
+   * @param {AbortSignal} signal - Cancels the backend request
+   * @returns {Promise<{diagnostics: vscode.Diagnostic[], unlocated: Array<object>, sentLines: number, skipped: number}>}
+   */
+  async checkWhole(doc, signal) {
+    this.documents.delete(doc.uri.toString());
+    const errors = await this.checkCode(doc.getText(), signal);
+    if (!Array.isArray(errors)) {
+      throw new Error(`Received invalid error format from API: ${JSON.stringify(errors)}`);
+    }
+    const { diagnostics, unlocated } = createErrorDiagnostics(doc, errors, this.source);
+    return { diagnostics, unlocated, sentLines: doc.lineCount, skipped: 0 };
+  }
+
+  /**
+   * Drops what is known about a document
+   * @param {vscode.Uri} uri - Document uri
+   */
+  forget(uri) {
+    this.documents.delete(uri.toString());
+  }
+
+  /**
+   * Drops what is known about all documents, e.g. after the backend changed
+   */
+  clear() {
+    this.documents.clear();
+  }
+}
+
+/**
+ * Finds the named subroutines that occupy whole lines, and the lines to leave
+ * out (POD, __END__/__DATA__ sections)
+ * @param {vscode.TextDocument} doc - Document to split
+ * @returns {{subs: Array<object>, omitted: Set<number>}|null} null when the parser is unavailable
+ */
+function splitSubroutines(doc) {
+  const text = doc.getText();
+  const tree = parsePerl(text);
+  if (!tree) return null;
+  const subs = [];
+  const omitted = new Set();
+  const seen = new Map(); // name -> occurrences, to tell redefinitions apart
+
+  const visit = (node, packageName) => {
+    for (let i = 0; i < node.childCount; i++) {
+      const child = node.child(i);
+      if (child.type === 'package_statement') {
+        const nameNode = child.child(1);
+        const name = nameNode ? text.slice(nameNode.startIndex, nameNode.endIndex) : packageName;
+        // `package Name { ... }` scopes the name to its block
+        const body = child.childForFieldName('body');
+        if (body) visit(body, name);
+        else packageName = name;
+      } else if (child.type === 'pod_statement') {
+        for (let line = child.startPosition.row; line <= child.endPosition.row; line++) omitted.add(line);
+      } else if (child.type === 'function_definition' && child.childForFieldName('name') && ownsLines(doc, child)) {
+        const nameNode = child.childForFieldName('name');
+        const name = `${packageName}::${text.slice(nameNode.startIndex, nameNode.endIndex)}`;
+        const occurrence = seen.get(name) || 0;
+        seen.set(name, occurrence + 1);
+        const body = text.slice(child.startIndex, child.endIndex);
+        subs.push({
+          key: occurrence ? `${name}#${occurrence}` : name,
+          name: text.slice(nameNode.startIndex, nameNode.endIndex),
+          startLine: child.startPosition.row,
+          endLine: child.endPosition.row,
+          hash: crypto.createHash('sha1').update(`${packageName}\n${body}`).digest('hex')
+        });
+      } else if (child.type !== 'function_definition') {
+        visit(child, packageName);
+      }
+    }
+  };
+  visit(tree.rootNode, 'main');
+
+  // Data after __END__ / __DATA__ is not code
+  for (let line = 0; line < doc.lineCount; line++) {
+    if (/^__(END|DATA)__\s*$/.test(doc.lineAt(line).text)) {
+      for (let rest = line + 1; rest < doc.lineCount; rest++) omitted.add(rest);
+      break;
+    }
+  }
+
+  return { subs, omitted };
+}
+
+// A sub can only be collapsed when no other code shares its first or last line
+function ownsLines(doc, node) {
+  const before = doc.lineAt(node.startPosition.row).text.slice(0, node.startPosition.column);
+  const after = doc.lineAt(node.endPosition.row).text.slice(node.endPosition.column);
+  return !before.trim() && !after.replace(/#.*$/, '').trim();
+}
+
+/**
+ * Builds the code to send: everything outside subroutines, the changed
+ * subroutines in full and a `sub name { ... }` placeholder for the others
+ */
+function buildSnippet(doc, { subs, omitted }, changed) {
+  const snippet = new SnippetDocument();
+  const subAt = new Map(subs.map(sub => [sub.startLine, sub]));
+
+  for (let line = 0; line < doc.lineCount; line++) {
+    const sub = subAt.get(line);
+    if (sub && changed.has(sub.key)) {
+      for (let subLine = sub.startLine; subLine <= sub.endLine; subLine++) {
+        snippet.add(doc.lineAt(subLine).text, subLine, sub.key);
+      }
+      line = sub.endLine;
+    } else if (sub) {
+      const indent = doc.lineAt(line).text.match(/^\s*/)[0];
+      snippet.add(`${indent}sub ${sub.name} { ... }`, -1, sub.key);
+      line = sub.endLine;
+    } else if (!omitted.has(line)) {
+      snippet.add(doc.lineAt(line).text, line);
+    }
+  }
+  return snippet;
+}
+
+function shiftRange(range, lines) {
+  return new vscode.Range(range.start.line + lines, range.start.character, range.end.line + lines, range.end.character);
+}
+
+function copyDiagnostic(diagnostic, range) {
+  const copy = new vscode.Diagnostic(range, diagnostic.message, diagnostic.severity);
+  copy.source = diagnostic.source;
+  if (diagnostic.code !== undefined) copy.code = diagnostic.code;
+  return copy;
+}
+
+module.exports = { IncrementalErrorChecker, SnippetDocument };
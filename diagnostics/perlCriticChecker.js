@@ -0,0 +1,136 @@
+const vscode = require('vscode');
+const os = require('os');
+const path = require('path');
+const { runTool } = require('./runTool');
+
+// One violation per line: line, column, severity, policy, description
+const VIOLATION_FORMAT = '%l\\t%c\\t%s\\t%p\\t%m\\n';
+
+/**
+ * Diagnostics source that runs a locally installed `perlcritic` on the
+ * document's current text. The buffer is piped through stdin, so unsaved
+ * changes are checked too.
+ */
+class PerlCriticChecker {
+  static source = 'perlcritic';
+
+  constructor(options = {}) {
+    this.missingReported = false;
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - enabled, path, severity (1-5), profile (.perlcriticrc path, relative to the workspace folder) and timeout
+   */
+  configure({ enabled = false, path: perlcriticPath = 'perlcritic', severity = 5, profile = '', timeout = 15000 } = {}) {
+    this.enabled = enabled;
+    this.perlcriticPath = perlcriticPath || 'perlcritic';
+    this.severity = severity;
+    this.profile = profile;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Checks whether the checker may run on a document. The executable comes
+   * from settings, so it is not run in untrusted workspaces.
+   * @param {vscode.TextDocument} doc
+   * @returns {boolean}
+   */
+  canCheck(doc) {
+    return this.enabled && vscode.workspace.isTrusted && doc.languageId === 'perl';
+  }
+
+  /**
+   * Runs perlcritic on the document's current text
+   * @param {vscode.TextDocument} doc - Document to check
+   * @param {AbortSignal} [signal] - Aborts the perlcritic process
+   * @returns {Promise<vscode.Diagnostic[]>}
+   */
+  async check(doc, signal) {
+    const folder = vscode.workspace.getWorkspaceFolder(doc.uri);
+    // perlcritic finds .perlcriticrc in the working directory when no profile is given
+    const cwd = folder ? folder.uri.fsPath : (doc.isUntitled ? os.tmpdir() : path.dirname(doc.fileName));
+
+    const args = ['--severity', String(this.severity), '--verbose', VIOLATION_FORMAT];
+    if (this.profile) args.push('--profile', path.resolve(cwd, this.profile));
+
+    let result;
+    try {
+      result = await runTool(this.perlcriticPath, args, { cwd, signal, timeout: this.timeout, input: doc.getText() });
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      if (!this.missingReported) {
+        this.missingReported = true;
+        vscode.window.showWarningMessage(
+          `Perl::Critic check disabled: "${this.perlcriticPath}" was not found. Install Perl::Critic or set perlCodeGeneration.perlCritic.path.`
+        );
+      }
+      return [];
+    }
+
+    // Exit code 2 means violations were found; anything else non-zero is a failure
+    if (result.exitCode !== 0 && result.exitCode !== 2) {
+      throw new Error(`perlcritic failed: ${result.stderr.trim() || `exit code ${result.exitCode}`}`);
+    }
+    return parseViolations(result.stdout, doc);
+  }
+}
+
+/**
+ * Turns perlcritic output in VIOLATION_FORMAT into diagnostics
+ * @param {string} output - perlcritic's stdout
+ * @param {vscode.TextDocument} doc - The checked document
+ * @returns {vscode.Diagnostic[]}
+ */
+function parseViolations(output, doc) {
+  const diagnostics = [];
+  for (const line of output.split('\n')) {
+    const fields = line.split('\t');
+    if (fields.length < 5) continue;
+
+    const [lineText, columnText, severityText, policy, ...message] = fields;
+    const lineIndex = Math.min(Math.max(Number(lineText) - 1, 0), doc.lineCount - 1);
+    if (Number.isNaN(lineIndex)) continue;
+
+    const text = doc.lineAt(lineIndex).text;
+    const column = Math.min(Math.max(Number(columnText) - 1, 0), text.length);
+    const end = Math.max(column + 1, text.trimEnd().length);
+    const severity = Number(severityText);
+
+    const diagnostic = new vscode.Diagnostic(
+      new vscode.Range(lineIndex, column, lineIndex, end),
+      message.join('\t').trim(),
+      severity >= 4 ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Information
+    );
+    diagnostic.source = PerlCriticChecker.source;
+    diagnostic.code = {
+      value: policy,
+      target: vscode.Uri.parse(`https://metacpan.org/pod/Perl::Critic::Policy::${policy}`)
+    };
+    // Kept for sending violations to the backend as context
+    diagnostic.criticSeverity = severity;
+    diagnostics.push(diagnostic);
+  }
+  return diagnostics;
+}
+
+/**
+ * Summarises violations for the generation context, nearest to the cursor first
+ * @param {vscode.Diagnostic[]} diagnostics - perlcritic diagnostics of the document
+ * @param {vscode.Position} position - Cursor position
+ * @param {number} [limit] - Maximum number of violations
+ * @returns {Array<{line: number, policy: string, severity: number, message: string}>}
+ */
+function toContextViolations(diagnostics, position, limit = 10) {
+  return [...diagnostics]
+    .sort((a, b) => Math.abs(a.range.start.line - position.line) - Math.abs(b.range.start.line - position.line))
+    .slice(0, limit)
+    .map(d => ({
+      line: d.range.start.line + 1,
+      policy: d.code.value,
+      severity: d.criticSeverity,
+      message: d.message
+    }));
+}
+
+module.exports = { PerlCriticChecker, parseViolations, toContextViolations };
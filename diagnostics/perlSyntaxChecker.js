@@ -0,0 +1,175 @@
+const vscode = require('vscode');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { runTool } = require('./runTool');
+
+// Messages that stop compilation; anything else perl prints under -c is a warning
+const ERROR_PATTERNS = [
+  /^syntax error/,
+  /requires explicit package name/,
+  /^Can't locate/,
+  /^Can't find string terminator/,
+  /^Missing right curly/,
+  /^Unmatched/,
+  /^Bareword .* not allowed/,
+  /^Unrecognized character/,
+  /^Illegal/,
+  /^Not enough arguments/,
+  /^Too many arguments/,
+  /^Can't use/,
+  /^Can't redeclare/,
+  /compilation aborted/,
+];
+
+// "MESSAGE at FILE line N." optionally followed by `, near "..."` which may span lines
+const MESSAGE_PATTERN = /^(.+?) at (.+?) line (\d+)(?:, near "([\s\S]*?)"|, at EOF|, at end of line|, <\w+> (?:line|chunk) \d+)?\.?$/gm;
+
+/**
+ * Diagnostics source that runs the system `perl -c` on a temporary copy of
+ * a document. `perl -c` runs BEGIN blocks and `use` statements, so it is only
+ * used in trusted workspaces.
+ */
+class PerlSyntaxChecker {
+  static source = 'perl -c';
+
+  constructor(options = {}) {
+    this.perlMissingReported = false;
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - enabled, perlPath, includePaths (relative to the workspace folder) and timeout
+   */
+  configure({ enabled = true, perlPath = 'perl', includePaths = [], timeout = 5000 } = {}) {
+    this.enabled = enabled;
+    this.perlPath = perlPath || 'perl';
+    this.includePaths = includePaths;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Checks whether the checker may run on a document
+   * @param {vscode.TextDocument} doc
+   * @returns {boolean}
+   */
+  canCheck(doc) {
+    return this.enabled && vscode.workspace.isTrusted && doc.languageId === 'perl';
+  }
+
+  /**
+   * Compiles the document's current text with `perl -c`
+   * @param {vscode.TextDocument} doc - Document to check
+   * @param {AbortSignal} [signal] - Aborts the perl process
+   * @returns {Promise<vscode.Diagnostic[]>}
+   */
+  async check(doc, signal) {
+    const fileName = doc.isUntitled ? 'untitled.pl' : path.basename(doc.fileName);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'perlcodegen-'));
+    const tempFile = path.join(tempDir, fileName);
+
+    try {
+      await fs.writeFile(tempFile, doc.getText(), 'utf8');
+      const args = ['-c', ...this._getIncludePaths(doc).map(dir => `-I${dir}`), tempFile];
+      const output = await this._run(args, this._getWorkingDirectory(doc), signal);
+      return parsePerlOutput(output, tempFile, doc);
+    } finally {
+      fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async _run(args, cwd, signal) {
+    try {
+      // perl exits non-zero on compilation errors; those are reported on stderr
+      const { stderr } = await runTool(this.perlPath, args, { cwd, signal, timeout: this.timeout });
+      return stderr;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      if (!this.perlMissingReported) {
+        this.perlMissingReported = true;
+        vscode.window.showWarningMessage(
+          `Perl syntax check disabled: "${this.perlPath}" was not found. Set perlCodeGeneration.syntaxCheck.perlPath.`
+        );
+      }
+      return '';
+    }
+  }
+
+  _getWorkingDirectory(doc) {
+    const folder = vscode.workspace.getWorkspaceFolder(doc.uri);
+    if (folder) return folder.uri.fsPath;
+    return doc.isUntitled ? os.tmpdir() : path.dirname(doc.fileName);
+  }
+
+  /**
+   * Library paths for `-I`: the configured ones, plus the document's own
+   * directory and every `lib` directory between it and the workspace root
+   * (which is what `use lib`/FindBin setups usually point at, and those
+   * resolve against the temp copy otherwise)
+   */
+  _getIncludePaths(doc) {
+    const folder = vscode.workspace.getWorkspaceFolder(doc.uri);
+    const root = folder ? folder.uri.fsPath : null;
+    const paths = root ? this.includePaths.map(p => path.resolve(root, p)) : [];
+
+    if (!doc.isUntitled) {
+      let dir = path.dirname(doc.fileName);
+      paths.push(dir);
+      while (root && dir.startsWith(root)) {
+        paths.push(path.join(dir, 'lib'));
+        if (dir === root) break;
+        dir = path.dirname(dir);
+      }
+    }
+    if (root) paths.push(path.join(root, 'local', 'lib', 'perl5'));
+    return [...new Set(paths)];
+  }
+}
+
+/**
+ * Turns `perl -c` output into diagnostics for the original document
+ * @param {string} output - perl's stderr
+ * @param {string} tempFile - Path of the compiled temp copy
+ * @param {vscode.TextDocument} doc - The original document
+ * @returns {vscode.Diagnostic[]}
+ */
+function parsePerlOutput(output, tempFile, doc) {
+  const syntaxOk = /syntax OK\s*$/.test(output);
+  const diagnostics = [];
+
+  for (const match of output.matchAll(MESSAGE_PATTERN)) {
+    const [, rawMessage, file, lineText, near] = match;
+    const message = rawMessage.replace(/ \(@INC contains: [^)]*\)/, '');
+    const inDocument = file === tempFile;
+    const line = inDocument ? Math.min(Number(lineText), doc.lineCount) - 1 : 0;
+
+    // "BEGIN failed--compilation aborted" only repeats the error before it
+    const previous = diagnostics[diagnostics.length - 1];
+    if (/^BEGIN failed/.test(message) && previous && previous.range.start.line === line) continue;
+
+    const isError = !syntaxOk && ERROR_PATTERNS.some(pattern => pattern.test(message));
+    const diagnostic = new vscode.Diagnostic(
+      getRange(doc, line, inDocument ? near : undefined),
+      inDocument ? message : `${message} (in ${file} line ${lineText})`,
+      isError ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = PerlSyntaxChecker.source;
+    diagnostics.push(diagnostic);
+  }
+
+  return diagnostics;
+}
+
+// Narrows the range to the "near" text when it starts on the reported line
+function getRange(doc, line, near) {
+  const text = doc.lineAt(line).text;
+  const firstNearLine = near ? near.split('\n')[0] : '';
+  const nearIndex = firstNearLine.trim() ? text.indexOf(firstNearLine) : -1;
+  if (nearIndex !== -1) {
+    return new vscode.Range(line, nearIndex, line, nearIndex + firstNearLine.length);
+  }
+  const start = text.length - text.trimStart().length;
+  return new vscode.Range(line, start, line, Math.max(start + 1, text.trimEnd().length));
+}
+
+module.exports = { PerlSyntaxChecker, parsePerlOutput };
@@ -0,0 +1,32 @@
+const { execFile } = require('child_process');
+
+/**
+ * Runs a command-line checker and collects its output. A non-zero exit code is
+ * not an error, since checkers use it to report findings.
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {object} options - cwd, signal, timeout (ms) and input written to stdin
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ *   Rejects with code 'ENOENT' when the executable is missing, an AbortError
+ *   when aborted, and an Error when the time limit is hit
+ */
+function runTool(command, args, { cwd, signal, timeout, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, { cwd, signal, timeout, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err && (err.code === 'ENOENT' || err.name === 'AbortError')) {
+        reject(err);
+      } else if (err && err.killed) {
+        reject(new Error(`${command} timed out after ${timeout} ms`));
+      } else {
+        resolve({ stdout, stderr, exitCode: err ? err.code : 0 });
+      }
+    });
+    if (input !== undefined) {
+      // The process may exit before reading everything; that shows up in its output
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+  });
+}
+
+module.exports = { runTool };
@@ -0,0 +1,114 @@
+const vscode = require('vscode');
+const path = require('path');
+
+const SEVERITY_NAMES = {
+  [vscode.DiagnosticSeverity.Error]: 'error',
+  [vscode.DiagnosticSeverity.Warning]: 'warning',
+  [vscode.DiagnosticSeverity.Information]: 'info',
+  [vscode.DiagnosticSeverity.Hint]: 'hint',
+};
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note', hint: 'note' };
+
+/**
+ * Turns a diagnostic into a plain finding with 1-based positions
+ * @param {vscode.Diagnostic} diagnostic
+ * @returns {object} source, severity, message, code, helpUri and the range
+ */
+function toFinding(diagnostic) {
+  const code = diagnostic.code && typeof diagnostic.code === 'object' ? diagnostic.code : null;
+  return {
+    source: diagnostic.source,
+    severity: SEVERITY_NAMES[diagnostic.severity] || 'error',
+    message: diagnostic.message,
+    code: code ? String(code.value) : (diagnostic.code !== undefined ? String(diagnostic.code) : undefined),
+    helpUri: code && code.target ? code.target.toString() : undefined,
+    line: diagnostic.range.start.line + 1,
+    column: diagnostic.range.start.character + 1,
+    endLine: diagnostic.range.end.line + 1,
+    endColumn: diagnostic.range.end.character + 1,
+  };
+}
+
+/**
+ * Builds the JSON report of a workspace scan
+ * @param {object} scan - Result of scanWorkspace
+ * @returns {object} The report; file paths are relative to the workspace folder
+ */
+function toJsonReport(scan) {
+  return {
+    generatedAt: scan.finishedAt.toISOString(),
+    workspace: scan.root,
+    checks: scan.checks,
+    cancelled: scan.cancelled,
+    filesScanned: scan.files.length,
+    files: scan.files
+      .filter(file => file.diagnostics.length > 0)
+      .map(file => ({
+        path: relativePath(scan.root, file.uri),
+        findings: file.diagnostics.map(toFinding),
+      })),
+    failures: scan.files.flatMap(file => file.failures.map(failure => ({
+      path: relativePath(scan.root, file.uri),
+      check: failure.name,
+      message: failure.error.message,
+    }))),
+  };
+}
+
+/**
+ * Builds a SARIF 2.1.0 log of a workspace scan, with one run per diagnostic source
+ * @param {object} scan - Result of scanWorkspace
+ * @returns {object} The SARIF log; artifact uris are relative to %SRCROOT%
+ */
+function toSarifReport(scan) {
+  const runs = new Map(); // source -> { rules: Map, results: [] }
+  const getRun = source => {
+    if (!runs.has(source)) runs.set(source, { rules: new Map(), results: [] });
+    return runs.get(source);
+  };
+  // Checks without findings still show up as runs
+  for (const check of scan.checks) getRun(check);
+
+  for (const file of scan.files) {
+    for (const finding of file.diagnostics.map(toFinding)) {
+      const run = getRun(finding.source);
+      const ruleId = finding.code || finding.source;
+      if (!run.rules.has(ruleId)) {
+        run.rules.set(ruleId, finding.helpUri ? { id: ruleId, helpUri: finding.helpUri } : { id: ruleId });
+      }
+      run.results.push({
+        ruleId,
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: finding.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: relativePath(scan.root, file.uri).split(path.sep).join('/'), uriBaseId: '%SRCROOT%' },
+            region: {
+              startLine: finding.line,
+              startColumn: finding.column,
+              endLine: finding.endLine,
+              endColumn: finding.endColumn,
+            },
+          },
+        }],
+      });
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [...runs].map(([source, run]) => ({
+      tool: { driver: { name: source, rules: [...run.rules.values()] } },
+      originalUriBaseIds: { '%SRCROOT%': { uri: vscode.Uri.file(scan.root).toString() + '/' } },
+      results: run.results,
+    })),
+  };
+}
+
+function relativePath(root, uri) {
+  return path.relative(root, uri.fsPath);
+}
+
+module.exports = { toFinding, toJsonReport, toSarifReport };
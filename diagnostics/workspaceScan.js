@@ -0,0 +1,186 @@
+const vscode = require('vscode');
+const path = require('path');
+const { toAbortSignal, isCancellationError } = require('../utils/cancellation');
+const { toJsonReport, toSarifReport } = require('./scanReport');
+
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', build: toJsonReport },
+  sarif: { label: 'SARIF', extension: 'sarif', build: toSarifReport },
+};
+
+/**
+ * Runs error checks on every given file, a few files at a time. Results are
+ * shown in the Problems panel by the checks themselves.
+ * @param {string[]} files - Absolute paths of the files to check
+ * @param {object} options - scheduler (ErrorCheckScheduler), diagnostics
+ *   (DiagnosticsManager), checks (names to run), root (workspace folder path),
+ *   concurrency, signal, and onFile(path) called as each file is started
+ * @returns {Promise<object>} The scan: root, checks, cancelled, finishedAt and
+ *   files as {uri, diagnostics, failures}
+ */
+async function scanWorkspace(files, { scheduler, diagnostics, checks, root, concurrency = 2, signal, onFile = () => {} }) {
+  const results = [];
+  const queue = [...files];
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal.aborted) {
+      const file = queue.shift();
+      onFile(file);
+      const uri = vscode.Uri.file(file);
+      let failures;
+      try {
+        const doc = await vscode.workspace.openTextDocument(uri);
+        failures = await scheduler.checkNow(doc, { only: checks, signal });
+      } catch (error) {
+        failures = [{ name: 'open', error }];
+      }
+      if (signal.aborted) break;
+      results.push({
+        uri,
+        diagnostics: checks.flatMap(check => diagnostics.get(uri, check)),
+        failures,
+      });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  results.sort((a, b) => a.uri.fsPath.localeCompare(b.uri.fsPath));
+  return { root, checks, cancelled: signal.aborted, finishedAt: new Date(), files: results };
+}
+
+/**
+ * Saves a scan report where the user chooses
+ * @param {object} scan - Result of scanWorkspace
+ * @param {'json'|'sarif'} format - Report format
+ * @returns {Promise<vscode.Uri|undefined>} Where it was saved, or undefined if cancelled
+ */
+async function exportScanReport(scan, format) {
+  const { label, extension, build } = EXPORT_FORMATS[format];
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(scan.root, `perl-scan.${extension}`)),
+    filters: { [label]: [extension] },
+    title: `Export Scan Report as ${label}`,
+  });
+  if (!target) return undefined;
+
+  const content = JSON.stringify(build(scan), null, 2);
+  await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf8'));
+  return target;
+}
+
+/**
+ * Registers the workspace scan commands
+ * @param {vscode.ExtensionContext} context - The extension context.
+ * @param {object} dependencies - logInfo, logError, getCodebaseIndexer,
+ *   initializeCodebaseIndexer, getErrorCheckScheduler, diagnostics
+ *   (DiagnosticsManager), checkGroups ({local: string[], ai: string[]}) and
+ *   getConcurrency()
+ * @returns {{isScanned: (uri: vscode.Uri) => boolean}} Tells whether a file's
+ *   diagnostics come from the last scan and should outlive its editor
+ */
+function registerWorkspaceScan(context, {
+  logInfo, logError, getCodebaseIndexer, initializeCodebaseIndexer,
+  getErrorCheckScheduler, diagnostics, checkGroups, getConcurrency
+}) {
+  let lastScan = null;
+  let scannedUris = new Set();
+
+  async function pickFormatAndExport(scan) {
+    const picked = await vscode.window.showQuickPick(
+      Object.entries(EXPORT_FORMATS).map(([format, { label }]) => ({ label, format })),
+      { placeHolder: 'Report format' }
+    );
+    if (!picked) return;
+    try {
+      const target = await exportScanReport(scan, picked.format);
+      if (target) vscode.window.showInformationMessage(`Scan report saved to ${vscode.workspace.asRelativePath(target)}`);
+    } catch (error) {
+      logError('Error exporting scan report:', error);
+      vscode.window.showErrorMessage(`Failed to export scan report: ${error.message}`);
+    }
+  }
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.scanWorkspace', async () => {
+      let indexer = getCodebaseIndexer();
+      if (!indexer && await initializeCodebaseIndexer()) indexer = getCodebaseIndexer();
+      if (!indexer) {
+        vscode.window.showInformationMessage('Open a workspace folder to scan it for errors');
+        return;
+      }
+
+      const picked = await vscode.window.showQuickPick([
+        { label: 'All Checks', checks: [...checkGroups.local, ...checkGroups.ai] },
+        { label: 'Local Checks Only', description: checkGroups.local.join(', '), checks: checkGroups.local },
+        { label: 'AI Check Only', description: 'one backend request per file', checks: checkGroups.ai },
+      ], { placeHolder: 'Checks to run on every Perl file in the workspace' });
+      if (!picked) return;
+
+      const files = await indexer.discoverPerlFiles();
+      if (files.length === 0) {
+        vscode.window.showInformationMessage('No Perl files found in the workspace');
+        return;
+      }
+
+      const root = indexer.workspace.uri.fsPath;
+      let scan;
+      try {
+        scan = await vscode.window.withProgress({
+          location: vscode.ProgressLocation.Notification,
+          title: 'Scanning Perl files',
+          cancellable: true
+        }, async (progress, token) => {
+          const abort = toAbortSignal(token);
+          try {
+            return await scanWorkspace(files, {
+              scheduler: getErrorCheckScheduler(),
+              diagnostics,
+              checks: picked.checks,
+              root,
+              concurrency: getConcurrency(),
+              signal: abort.signal,
+              onFile: file => progress.report({ increment: 100 / files.length, message: path.relative(root, file) })
+            });
+          } finally {
+            abort.dispose();
+          }
+        });
+      } catch (error) {
+        if (isCancellationError(error)) return;
+        logError('Error scanning workspace:', error);
+        vscode.window.showErrorMessage(`Failed to scan workspace: ${error.message}`);
+        return;
+      }
+
+      lastScan = scan;
+      scannedUris = new Set(scan.files.map(file => file.uri.toString()));
+
+      const problems = scan.files.reduce((sum, file) => sum + file.diagnostics.length, 0);
+      const failed = scan.files.filter(file => file.failures.length > 0).length;
+      let summary = `${scan.cancelled ? 'Scan cancelled after' : 'Scanned'} ${scan.files.length} of ${files.length} files: ${problems} problems`;
+      if (failed > 0) summary += `, checks failed for ${failed} files (see the output channel)`;
+      logInfo(summary);
+
+      const choice = await vscode.window.showInformationMessage(summary, 'Show Problems', 'Export Report');
+      if (choice === 'Show Problems') {
+        vscode.commands.executeCommand('workbench.actions.view.problems');
+      } else if (choice === 'Export Report') {
+        await pickFormatAndExport(scan);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlcodegeneration.exportScanReport', async () => {
+      if (!lastScan) {
+        vscode.window.showInformationMessage('Run "Perl: Scan Workspace for Errors" first');
+        return;
+      }
+      await pickFormatAndExport(lastScan);
+    })
+  );
+
+  return { isScanned: uri => scannedUris.has(uri.toString()) };
+}
+
+module.exports = { scanWorkspace, exportScanReport, registerWorkspaceScan };
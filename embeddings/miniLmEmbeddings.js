@@ -20,6 +20,18 @@ class MiniLmEmbeddingProvider {
       const output = await this.model(text, { pooling: 'mean', normalize: true });
       return Array.from(output.data);
     }
+
+    /**
+     * Embeds several texts in one pass of the model
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} One normalized vector per text, in order
+     */
+    async embedBatch(texts) {
+      if (texts.length === 0) return [];
+      await this.initPromise;
+      const output = await this.model(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
   }
   
   module.exports = { MiniLmEmbeddingProvider };
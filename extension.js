@@ -3,30 +3,79 @@ const api = require('./api/api');
 const { initTreeSitter, getParser } = require('./parsers/treeSitter');
 const ContextCollector = require('./collectors/contextCollector');
 const DefinitionCollector = require('./collectors/definitionCollector');
+const ObjectTypeCollector = require('./collectors/objectTypeCollector');
+const PromptCollector = require('./collectors/promptCollector');
 const {  PerlImportDefAnalyzer } = require('./collectors/importDefinitionAnalyzer')
 const  PerlImportAnalyzer  = require('./collectors/perlImportAnalyzer')
 const debounce = require('./utils/debounce');
+const throttle = require('./utils/throttle');
+const { throwIfCancelled, isCancellationError, toAbortSignal } = require('./utils/cancellation');
+const {
+  DEFAULT_TRIGGER_PATTERNS,
+  compileTriggerPatterns,
+  shouldTriggerCompletion
+} = require('./completions/codeCompletion');
 const { PerlCodebaseIndexer } = require('./indexers/codebaseIndexer');
 const { PerlRepositoryMapProvider } = require('./collectors/repoMapProvider');
 const { registerCommands } = require('./commands/commands')
 const checkCodeForErrors  = require('./utils/checkErrors')
-const { AlternativeSuggestionsProvider } = require('./sidebarProvider');
+const { AlternativeSuggestionsProvider } = require('./sidebarprovider');
+const { registerSuggestionActions } = require('./commands/suggestionActions');
+const { SuggestionsPanelProvider } = require('./webviews/suggestionsPanel');
+const { SuggestionHistory } = require('./history/suggestionHistory');
+const { SuggestionHistoryProvider } = require('./history/historyTreeProvider');
+const { DiagnosticsManager } = require('./diagnostics/diagnosticsManager');
+const { PerlSyntaxChecker } = require('./diagnostics/perlSyntaxChecker');
+const { PerlCriticChecker, toContextViolations } = require('./diagnostics/perlCriticChecker');
+const { registerAiFixActions } = require('./diagnostics/aiFixProvider');
+const { ErrorCheckScheduler } = require('./diagnostics/errorCheckScheduler');
+const { IncrementalErrorChecker } = require('./diagnostics/incrementalErrorCheck');
+const { registerWorkspaceScan } = require('./diagnostics/workspaceScan');
+const { configureProvider, getProvider, llmClient } = require('./providers');
+const { CompletionCache } = require('./cache/completionCache');
+const { applyContextBudget, formatBudgetReport } = require('./collectors/contextBudget');
+const { EditorSnippetCollector } = require('./collectors/editorSnippetCollector');
+const { GitContextCollector } = require('./collectors/gitContext');
 /**
  * Global extension configuration
  */
 const config = {
   debounceTime: 500, 
   relevantCodeCount: 2,
-  // NEW: Debounce time for error checking (in milliseconds)
-  errorCheckDebounceTime: 2000, // 2 seconds, you can set this to 10000 for 10 seconds
+  // When documents are checked for errors: 'idle' (after typing pauses) or 'save'
+  errorCheck: { mode: 'idle', idleDelay: 2000, maxConcurrent: 2, incremental: true },
   useMemoryIndex:true,
   indexOnStartup: true,
   contextWindowSize: 15, 
+  // Estimated token budget for the generation context; 0 means no limit
+  contextMaxTokens: 4000,
+  // Snippets from recently edited regions and other open editors added to the context
+  editorSnippets: { count: 3, maxEdits: 20 },
+  // Uncommitted changes in the context, and recently changed code ranked higher
+  git: { enabled: true, gitPath: 'git', maxDiffLines: 200, recencyDays: 14 },
+  streaming: false,
+  // Request alternatives on every selection change instead of only by command
+  automaticAlternatives: false,
+  // Show "Fix with AI" edits in the refactor preview before applying them
+  fixPreview: true,
+  candidateCount: 1,
+  completionMode: 'comment',
+  codeCompletionTriggers: compileTriggerPatterns(DEFAULT_TRIGGER_PATTERNS),
+  // Completion while typing code needs a shorter pause than comment-to-code
+  codeCompletionDebounceTime: 400,
 };
 
 // Global state for tracking in-flight requests
 const inFlightRequests = new Map();
 
+// The streamed inline completion currently being received; re-served to VS Code as it grows
+let activeStream = null;
+
+// Ask VS Code to re-query inline completions so newly streamed text is shown
+const refreshInlineSuggestion = throttle(() => {
+  vscode.commands.executeCommand('editor.action.inlineSuggest.trigger');
+}, 150);
+
 
 /**
  * Creates a unique key for a request based on comment and context
@@ -44,31 +93,41 @@ function createRequestKey(comment, doc, pos) {
 let codebaseIndexer = null;
 let outputChannel = null;
 let debounceTime = 3000;
-let errorCheckDebounceTime = 2000;
+// Persistent cache of generated completions
+let completionCache = null;
+// Suggestions shown in this workspace, for the history view
+let suggestionHistory = null;
 // NEW: Diagnostic collection for displaying errors
 let errorDiagnostics = null;
-let errorCheckAbortController = new AbortController();
+// Local `perl -c` and perlcritic checks, merged with the AI findings by errorDiagnostics
+let syntaxChecker = null;
+let criticChecker = null;
+// Decides per document when the checks above and the AI check run
+let errorCheckScheduler = null;
+// Sends only the changed subroutines to the AI check
+let aiErrorChecker = null;
+// Tracks recent edits and ranks them with the open editors' code for the context
+let editorSnippetCollector = null;
+// Reads the git working tree for the context and the related code ranking
+let gitContext = null;
+const AI_DIAGNOSTIC_SOURCE = 'Perl AI Assistant';
 
 
 /**
- * Helper function to find the location of a code chunk in the document.
- * @param {vscode.TextDocument} doc The document to search in.
- * @param {string} chunk The code chunk to find.
- * @returns {vscode.Range | null} The range of the chunk, or null if not found.
+ * Creates the completion cache key: the comment, a hash of the code around the
+ * cursor and the identity of the backend/model that generates the code
+ * @param {string} comment - The user's comment
+ * @param {vscode.TextDocument} doc - Current document
+ * @param {vscode.Position} pos - Current cursor position
+ * @returns {string} Cache key
  */
-function findChunkLocation(doc, chunk) {
-    const fullText = doc.getText();
-    const normalizedText = fullText.replace(/\r\n/g, "\n");
-    const startIndex = normalizedText.indexOf(chunk);
-
-    if (startIndex === -1) {
-        return null;
-    }
-
-    const startPos = doc.positionAt(startIndex);
-    const endPos = doc.positionAt(startIndex + chunk.length);
-    
-    return new vscode.Range(startPos, endPos);
+function createCacheKey(comment, doc, pos) {
+  const codeCtx = ContextCollector.getCodeAround(doc, pos, config.contextWindowSize, config.contextWindowSize);
+  return CompletionCache.createKey({
+    comment,
+    context: `${doc.fileName}\n${codeCtx.fullPrefix}\n${codeCtx.fullSuffix}`,
+    backend: `${getProvider().identity}:n=${config.candidateCount}`
+  });
 }
 
 
@@ -91,122 +150,247 @@ function findChunkLocation(doc, chunk) {
 //   }
 // }
 
-async function fetchCodeWithDeduplication(comment, doc, pos) {
-  const requestKey = createRequestKey(comment, doc, pos);
-  
+/**
+ * Runs a backend request, sharing it between identical concurrent callers.
+ * The shared request is cancelled once every caller waiting on it has been cancelled.
+ * @param {string} requestKey - Key identifying identical requests
+ * @param {vscode.CancellationToken} [token] - Cancellation token of the caller
+ * @param {(token: vscode.CancellationToken) => Promise<*>} run - Performs the request
+ * @returns {Promise<*|null>} The result, or null on failure or cancellation
+ */
+async function runDeduplicated(requestKey, token, run) {
+  if (token && token.isCancellationRequested) return null;
+
   // Check if we already have a request in progress for this exact same input
-  if (inFlightRequests.has(requestKey)) {
+  let request = inFlightRequests.get(requestKey);
+  if (request) {
     logDebug(`Returning existing promise for request: ${requestKey}`);
-    return inFlightRequests.get(requestKey);
+  } else {
+    request = { cancellation: new vscode.CancellationTokenSource(), waiters: 0 };
+
+    // Create new promise for this request
+    request.promise = (async () => {
+      try {
+        logDebug(`Starting new request: ${requestKey}`);
+        const result = await run(request.cancellation.token);
+        logDebug(`Request completed: ${requestKey}`);
+        return result;
+      } catch (err) {
+        if (isCancellationError(err)) {
+          logDebug(`Request cancelled: ${requestKey}`);
+          return null;
+        }
+        logError(`Error fetching suggestion for ${requestKey}: ${err.message}`, err);
+        vscode.window.showErrorMessage(`Failed to generate code: ${err.message}`);
+        return null;
+      } finally {
+        // Always clean up the request from the map when it's done
+        request.cancellation.dispose();
+        inFlightRequests.delete(requestKey);
+        logDebug(`Cleaned up request: ${requestKey}`);
+      }
+    })();
+
+    // Store the request in our map
+    inFlightRequests.set(requestKey, request);
   }
-  
-  // Create new promise for this request
-  const requestPromise = (async () => {
+
+  request.waiters++;
+  const listener = token && token.onCancellationRequested(() => {
+    request.waiters--;
+    if (request.waiters === 0) {
+      request.cancellation.cancel();
+    }
+  });
+
+  try {
+    const result = await request.promise;
+    return token && token.isCancellationRequested ? null : result;
+  } finally {
+    if (listener) listener.dispose();
+  }
+}
+
+/**
+ * Fetches suggestion candidates for a comment, deduplicating concurrent identical requests
+ * @param {string} comment - The user's comment
+ * @param {vscode.TextDocument} doc - Current document
+ * @param {vscode.Position} pos - Current cursor position
+ * @param {vscode.CancellationToken} [token] - Cancellation token of the caller
+ * @returns {Promise<string[]|null>} Generated code candidates, or null on failure or cancellation
+ */
+function fetchCodeWithDeduplication(comment, doc, pos, token) {
+  const cacheKey = createCacheKey(comment, doc, pos);
+  const cached = completionCache && completionCache.get(cacheKey);
+  if (cached) {
+    logDebug(`Using cached completion for: ${comment}`);
+    return Promise.resolve(cached);
+  }
+
+  return runDeduplicated(createRequestKey(comment, doc, pos), token, async requestToken => {
+    const abort = toAbortSignal(requestToken);
     try {
-      logDebug(`Starting new request: ${requestKey}`);
-      const ctx = await generateContextForComments(comment, doc, pos);
-      const response = await api.post('/commentCode/', { message: comment, context: ctx });
-      logDebug(`Request completed: ${requestKey}`);
-      return response.data.code;
-    } catch (err) {
-      logError(`Error fetching suggestion for ${requestKey}: ${err.message}`, err);
-      vscode.window.showErrorMessage(`Failed to generate code: ${err.message}`);
-      return null;
+      const ctx = await generateContextForComments(comment, doc, pos, requestToken);
+      const candidates = await getProvider().generateCode(comment, ctx, {
+        signal: abort.signal,
+        count: config.candidateCount
+      });
+      if (completionCache && candidates.length > 0) completionCache.set(cacheKey, candidates);
+      return candidates;
     } finally {
-      // Always clean up the request from the map when it's done
-      inFlightRequests.delete(requestKey);
-      logDebug(`Cleaned up request: ${requestKey}`);
+      abort.dispose();
     }
-  })();
-  
-  // Store the promise in our map
-  inFlightRequests.set(requestKey, requestPromise);
-  
-  return requestPromise;
+  });
 }
 
-// async function fetchCodeCompletion(doc, pos) {
-//   try {
-    
-//     // Get the current line up to cursor position
-//     const line = doc.lineAt(pos);
-//     const currentLineText = line.text.substring(0, pos.character);
+/**
+ * Fetches a fill-in-the-middle completion for ordinary code at the cursor
+ * @param {vscode.TextDocument} doc - Current document
+ * @param {vscode.Position} pos - Current cursor position
+ * @param {vscode.CancellationToken} [token] - Cancellation token of the caller
+ * @returns {Promise<string|null>} Text to insert at the cursor, or null
+ */
+function fetchCodeCompletion(doc, pos, token) {
+  // Get the current line up to cursor position
+  const currentLineText = doc.lineAt(pos).text.substring(0, pos.character);
 
-//     const ctx = await generateContextForComments(currentLineText, doc, pos);
-    
-//     const response = await api.post('/commentCode/complete/', { 
-//       codePrefix: ctx.codePrefix +"\n"+currentLineText,
-//       codeSuffix: ctx.codeSuffix,
-//       imports: ctx.imports,
-//       usedModules: ctx.usedModules,
-//       variableDefinitions: ctx.variableDefinitions,
-//       importDefinitions: ctx.importDefinitions,
-//       relatedCodeStructures: ctx.relatedCodeStructures,
-//       currentBlock: ctx.currentBlock
-//     });
-    
-//     return response.data.code;
-//   } catch (err) {
-//     logError(`Error fetching completion: ${err.message}`, err);
-//     return null;
-//   }
-// }
+  return runDeduplicated(`complete:${createRequestKey(currentLineText, doc, pos)}`, token, async requestToken => {
+    const abort = toAbortSignal(requestToken);
+    try {
+      const ctx = await generateContextForComments(currentLineText, doc, pos, requestToken);
+      return await getProvider().completeCode({
+        codePrefix: ctx.codePrefix + "\n" + currentLineText,
+        codeSuffix: ctx.codeSuffix,
+        imports: ctx.imports,
+        usedModules: ctx.usedModules,
+        variableDefinitions: ctx.variableDefinitions,
+        visibleVariables: ctx.visibleVariables,
+        objectTypes: ctx.objectTypes,
+        importDefinitions: ctx.importDefinitions,
+        relatedCodeStructures: ctx.relatedCodeStructures,
+        currentBlock: ctx.currentBlock,
+        criticViolations: ctx.criticViolations,
+        editorSnippets: ctx.editorSnippets,
+        gitDiff: ctx.gitDiff,
+        fileName: ctx.fileName
+      }, { signal: abort.signal });
+    } finally {
+      abort.dispose();
+    }
+  });
+}
 
 /**
- * Analyzes the document for errors by finding the code chunk and underlining it.
- * @param {vscode.TextDocument} doc - The document to check.
+ * Starts streaming a suggestion for a comment. A stream for a different
+ * comment or cursor position is aborted, since the user has moved on.
+ * @param {string} comment - The user's comment
+ * @param {vscode.TextDocument} doc - Current document
+ * @param {vscode.Position} pos - Current cursor position
+ * @returns {object} Stream state: key, candidates received so far, done flag and a firstChunk promise
  */
-async function updateErrorDiagnostics(doc) {
-  if (doc.languageId !== 'perl') return;
+function startStreamingRequest(comment, doc, pos) {
+  const requestKey = createRequestKey(comment, doc, pos);
+  if (activeStream && activeStream.key === requestKey) {
+    return activeStream;
+  }
 
-  errorCheckAbortController.abort();
-  errorCheckAbortController = new AbortController();
-  const signal = errorCheckAbortController.signal;
+  if (activeStream && !activeStream.done) {
+    logDebug(`Aborting stream for abandoned request: ${activeStream.key}`);
+    activeStream.cancellation.cancel();
+  }
 
-  logInfo(`Running error check for: ${doc.fileName}`);
-  try {
-    const code = doc.getText();
-    const response = await checkCodeForErrors(code, signal);
-    const errors = response.data.errors;
+  const stream = { key: requestKey, candidates: [], done: false, cancellation: new vscode.CancellationTokenSource() };
+  stream.firstChunk = new Promise(resolve => { stream.resolveFirstChunk = resolve; });
+  activeStream = stream;
+
+  const cacheKey = createCacheKey(comment, doc, pos);
+  const cached = completionCache && completionCache.get(cacheKey);
+  if (cached) {
+    logDebug(`Using cached completion for: ${comment}`);
+    stream.candidates = cached;
+    stream.done = true;
+    stream.resolveFirstChunk();
+    stream.cancellation.dispose();
+    return stream;
+  }
 
-    if (!Array.isArray(errors)) {
-      logError("Received invalid error format from API.", errors);
-      return;
+  (async () => {
+    const abort = toAbortSignal(stream.cancellation.token);
+    try {
+      logDebug(`Starting streamed request: ${requestKey}`);
+      const ctx = await generateContextForComments(comment, doc, pos, stream.cancellation.token);
+      stream.candidates = await getProvider().streamCode(comment, ctx, {
+        signal: abort.signal,
+        count: config.candidateCount,
+        onPartial: candidates => {
+          stream.candidates = candidates;
+          stream.resolveFirstChunk();
+          refreshInlineSuggestion();
+        }
+      });
+      if (completionCache && stream.candidates.length > 0) completionCache.set(cacheKey, stream.candidates);
+      logDebug(`Streamed request completed: ${requestKey}`);
+    } catch (err) {
+      if (isCancellationError(err)) {
+        logDebug(`Streamed request cancelled: ${requestKey}`);
+      } else {
+        logError(`Error streaming suggestion for ${requestKey}: ${err.message}`, err);
+        vscode.window.showErrorMessage(`Failed to generate code: ${err.message}`);
+      }
+    } finally {
+      abort.dispose();
+      stream.cancellation.dispose();
+      stream.done = true;
+      stream.resolveFirstChunk();
+      if (activeStream === stream) refreshInlineSuggestion();
     }
+  })();
 
-    logInfo(`Extension Info: Received ${errors.length} errors from the backend.`);
+  return stream;
+}
 
-    const diagnostics = errors.map(error => {
-      // Assuming the API returns a 'code_chunk' and a 'message'
-      const { code_chunk, message } = error;
-      
-      if (!code_chunk) {
-        logError("API response did not contain a 'code_chunk'.", error);
-        return null;
-      }
+/**
+ * Analyzes the document for errors and underlines them, by their reported
+ * line/column range or else by finding their code chunk. Run by
+ * errorCheckScheduler, which handles failures and cancellation.
+ * @param {vscode.TextDocument} doc - The document to check.
+ * @param {AbortSignal} signal - Cancels the backend request.
+ * @param {object} [options] - force: send every subroutine, not only the changed ones.
+ */
+async function updateErrorDiagnostics(doc, signal, { force = false } = {}) {
+  logInfo(`Running error check for: ${doc.fileName}`);
+  const { diagnostics, unlocated, sentLines, skipped } = config.errorCheck.incremental
+    ? await aiErrorChecker.check(doc, signal, { force })
+    : await aiErrorChecker.checkWhole(doc, signal);
 
-      const range = findChunkLocation(doc, code_chunk);
+  logInfo(`Extension Info: Sent ${sentLines} of ${doc.lineCount} lines; ${skipped} unchanged subroutines kept their diagnostics.`);
 
-      if (!range) {
-        logError(`Could not find the code chunk in the document., { chunk: code_chunk }`);
-        return null;
-      }
-      
-      const diagnostic = new vscode.Diagnostic(range, message, vscode.DiagnosticSeverity.Error);
-      diagnostic.source = 'Perl AI Assistant';
-      return diagnostic;
-    }).filter(diag => diag !== null);
+  if (unlocated.length > 0) {
+    const messages = unlocated.map(error => `  ${error.message || JSON.stringify(error)}`).join('\n');
+    logError(`Could not locate ${unlocated.length} reported errors in the document:\n${messages}`);
+  }
 
-    errorDiagnostics.set(doc.uri, diagnostics);
-    logInfo(`Displaying ${diagnostics.length} valid errors in the editor.`);
+  errorDiagnostics.set(doc.uri, AI_DIAGNOSTIC_SOURCE, diagnostics);
+  logInfo(`Displaying ${diagnostics.length} valid errors in the editor.`);
+}
 
-  } catch (err) {
-    if (err.name === 'CanceledError' || err.name === 'AbortError') {
-      logInfo('Error check was cancelled because a new one was started.');
-    } else {
-      logInfo(`Failed to check for errors: ${err.message}, err`);
-    }
+/**
+ * Runs a local checker (`perl -c`, perlcritic) and shows its findings next to
+ * the AI ones, so they appear even when the backend is down.
+ * @param {PerlSyntaxChecker|PerlCriticChecker} checker - The checker to run.
+ * @param {vscode.TextDocument} doc - The document to check.
+ * @param {AbortSignal} signal - Stops the checker process.
+ */
+async function updateLocalDiagnostics(checker, doc, signal) {
+  const source = checker.constructor.source;
+  if (!checker.canCheck(doc)) {
+    errorDiagnostics.set(doc.uri, source, []);
+    return;
   }
+
+  const diagnostics = await checker.check(doc, signal);
+  errorDiagnostics.set(doc.uri, source, diagnostics);
+  logInfo(`${source} reported ${diagnostics.length} problems in ${doc.fileName}`);
 }
 
 
@@ -218,22 +402,28 @@ async function updateErrorDiagnostics(doc) {
  * @param {string} comment - The user's comment
  * @param {vscode.TextDocument} doc - Current document
  * @param {vscode.Position} pos - Current cursor position
+ * @param {vscode.CancellationToken} [token] - Stops collection once the request is abandoned
  * @returns {Promise<object>} Context object with code information
  */
-  async function generateContextForComments(comment, doc, pos) {
+  async function generateContextForComments(comment, doc, pos, token) {
     try {
       // Create analyzer - either memory-based or LanceDB-based depending on config
       let analyzer = new PerlImportDefAnalyzer();
       // Basic context that doesn't require the indexer
-      const codeCtx = ContextCollector.getCodeAround(doc, pos);
+      const codeCtx = ContextCollector.getCodeAround(doc, pos, config.contextWindowSize, config.contextWindowSize);
       const block = await ContextCollector.getCurrentBlock(doc, pos);
       const imports = PerlImportAnalyzer.extractImports(doc.getText());
       const used = PerlImportAnalyzer.findUsedSymbols(codeCtx.textAroundCursor, imports);
       
-      const varDefs = await DefinitionCollector.findVariableDefinitions(
-        doc,
-        new vscode.Range(new vscode.Position(0, 0), doc.lineAt(doc.lineCount - 1).range.end)
-      );
+      // Only the variables in scope at the cursor; the whole-file regex scan is the fallback without the parser
+      const visibleVariables = DefinitionCollector.findVisibleVariables(doc, pos);
+      const varDefs = visibleVariables
+        ? [...new Set(visibleVariables.map(v => v.declaration))]
+        : await DefinitionCollector.findVariableDefinitions(
+          doc,
+          new vscode.Range(new vscode.Position(0, 0), doc.lineAt(doc.lineCount - 1).range.end)
+        );
+      throwIfCancelled(token);
 
       // Context payload with mandatory fields
       const ctxPayload = {
@@ -245,30 +435,80 @@ async function updateErrorDiagnostics(doc) {
         variableDefinitions: varDefs,
         fileName: doc.fileName,
       };
+      if (visibleVariables) {
+        ctxPayload.visibleVariables = visibleVariables.map(({ name, kind, line, initializer }) => ({ name, kind, line, initializer }));
+      }
+
+      // Classes of the objects in the current sub, with the methods they can be called with
+      const objectTypes = ObjectTypeCollector.inferObjectTypes(doc, pos);
+      if (objectTypes.length > 0) {
+        ctxPayload.objectTypes = ObjectTypeCollector.withMethods(
+          objectTypes, codebaseIndexer ? codebaseIndexer.structureIndex : null, doc
+        );
+      }
+
+      // Code the user is working on elsewhere: recent edits and other open editors
+      try {
+        const snippets = await editorSnippetCollector.collect(comment, doc, codeCtx, { token });
+        if (snippets.length > 0) ctxPayload.editorSnippets = snippets;
+      } catch (snippetErr) {
+        if (isCancellationError(snippetErr)) throw snippetErr;
+        logError('Error collecting editor snippets:', snippetErr);
+      }
+
+      // The change in progress: uncommitted diff of this file and the modules it imports
+      if (gitContext) {
+        const abort = toAbortSignal(token);
+        try {
+          const diffs = await gitContext.getWorkingTreeDiff(doc, Object.keys(imports), abort.signal);
+          if (diffs.length > 0) ctxPayload.gitDiff = diffs;
+        } catch (gitErr) {
+          if (isCancellationError(gitErr)) throw gitErr;
+          logError('Error reading the git working tree:', gitErr);
+        } finally {
+          abort.dispose();
+        }
+      }
+
+      // Violations the generated code should not repeat
+      if (config.perlCritic.includeInContext) {
+        const violations = errorDiagnostics.get(doc.uri, PerlCriticChecker.source);
+        if (violations.length > 0) ctxPayload.criticViolations = toContextViolations(violations, pos);
+      }
 
       // Get import definitions using the chosen analyzer
       if (analyzer) {
         try {
           ctxPayload.projectStructure = await PerlRepositoryMapProvider.generateTreeMap();
+          throwIfCancelled(token);
           
-          ctxPayload.importDefinitions = await analyzer.getImportDefinitions(doc);
+          ctxPayload.importDefinitions = await analyzer.getImportDefinitions(doc, token);
+          throwIfCancelled(token);
           
           // Get relevant code (works with either approach)
           if (codebaseIndexer) {
             ctxPayload.relatedCodeStructures = await codebaseIndexer.findRelevantCode(
               comment, 
-              config.relevantCodeCount
+              config.relevantCodeCount,
+              token
             );
           }
         } catch (indexerErr) {
+          if (isCancellationError(indexerErr)) throw indexerErr;
           logError('Error getting advanced context:', indexerErr);
           // Continue with basic context if advanced context fails
         }
       }
 
-      logDebug('Context generated:', ctxPayload);
-      return ctxPayload;
+      const { payload, report } = applyContextBudget(ctxPayload, config.contextMaxTokens);
+      if (report.dropped.length > 0) {
+        logInfo(`Context trimmed to fit the token budget:\n${formatBudgetReport(report)}`);
+      }
+
+      logDebug('Context generated:', payload);
+      return payload;
     } catch (err) {
+      if (isCancellationError(err)) throw err;
       logError('Error generating context:', err);
       throw new Error(`Failed to generate context: ${err.message}`);
     }
@@ -282,6 +522,77 @@ function loadConfiguration() {
   config.relevantCodeCount = settings.get('relevantCodeCount', config.relevantCodeCount);
   config.indexOnStartup = settings.get('indexOnStartup', config.indexOnStartup);
   config.contextWindowSize = settings.get('contextWindowSize', config.contextWindowSize);
+  config.contextMaxTokens = Math.max(0, settings.get('context.maxTokens', config.contextMaxTokens));
+  config.editorSnippets = {
+    count: Math.max(0, settings.get('context.editorSnippets', 3)),
+    maxEdits: Math.max(1, settings.get('context.recentEdits', 20))
+  };
+  if (editorSnippetCollector) editorSnippetCollector.configure(config.editorSnippets);
+  config.git = {
+    enabled: settings.get('git.enabled', true),
+    gitPath: settings.get('git.path', 'git'),
+    maxDiffLines: settings.get('git.maxDiffLines', 200),
+    recencyDays: settings.get('git.recencyDays', 14)
+  };
+  if (gitContext) gitContext.configure(config.git);
+  config.streaming = settings.get('streaming', config.streaming);
+  config.automaticAlternatives = settings.get('alternatives.automatic', config.automaticAlternatives);
+  config.fixPreview = settings.get('fix.preview', config.fixPreview);
+  config.candidateCount = Math.max(1, settings.get('candidateCount', config.candidateCount));
+  config.cache = {
+    enabled: settings.get('cache.enabled', true),
+    maxEntries: settings.get('cache.maxEntries', 200),
+    ttlMs: settings.get('cache.ttlHours', 24) * 60 * 60 * 1000
+  };
+  if (completionCache) completionCache.configure(config.cache);
+  config.history = { maxEntries: settings.get('history.maxEntries', 100) };
+  config.syntaxCheck = {
+    enabled: settings.get('syntaxCheck.enabled', true),
+    perlPath: settings.get('syntaxCheck.perlPath', 'perl'),
+    includePaths: settings.get('syntaxCheck.includePaths', []),
+    timeout: settings.get('syntaxCheck.timeout', 5000)
+  };
+  if (syntaxChecker) syntaxChecker.configure(config.syntaxCheck);
+  config.perlCritic = {
+    enabled: settings.get('perlCritic.enabled', false),
+    path: settings.get('perlCritic.path', 'perlcritic'),
+    severity: settings.get('perlCritic.severity', 5),
+    profile: settings.get('perlCritic.profile', ''),
+    timeout: settings.get('perlCritic.timeout', 15000),
+    includeInContext: settings.get('perlCritic.includeInContext', false)
+  };
+  if (criticChecker) criticChecker.configure(config.perlCritic);
+  config.errorCheck = {
+    mode: settings.get('errorCheck.mode', 'idle'),
+    idleDelay: settings.get('errorCheck.idleDelay', 2000),
+    maxConcurrent: Math.max(1, settings.get('errorCheck.maxConcurrent', 2)),
+    incremental: settings.get('errorCheck.incremental', true)
+  };
+  if (errorCheckScheduler) errorCheckScheduler.configure(config.errorCheck);
+  if (suggestionHistory) suggestionHistory.configure(config.history);
+  config.completionMode = settings.get('completionMode', config.completionMode);
+  config.codeCompletionTriggers = compileTriggerPatterns(
+    settings.get('codeCompletion.triggerPatterns', DEFAULT_TRIGGER_PATTERNS),
+    logError
+  );
+
+  const connection = {
+    timeout: settings.get('backend.timeout'),
+    maxRetries: settings.get('backend.maxRetries'),
+    retryDelay: settings.get('backend.retryDelay'),
+    // Fall back to the editor-wide proxy when no backend-specific one is set
+    proxy: settings.get('backend.proxy') || vscode.workspace.getConfiguration('http').get('proxy'),
+  };
+  api.configure({ ...connection, baseUrl: settings.get('backend.baseUrl') });
+
+  configureProvider({
+    type: settings.get('provider'),
+    baseUrl: settings.get('llm.baseUrl'),
+    model: settings.get('llm.model'),
+    temperature: settings.get('llm.temperature'),
+    maxTokens: settings.get('llm.maxTokens'),
+    jsonMode: settings.get('llm.jsonMode'),
+  }, connection);
 }
 
 /**
@@ -303,7 +614,7 @@ async function initializeCodebaseIndexer() {
       false  
     );
 
-    codebaseIndexer = new PerlCodebaseIndexer(workspaceFolders[0], fileWatcher);
+    codebaseIndexer = new PerlCodebaseIndexer(workspaceFolders[0], fileWatcher, { gitContext, logError });
     
     if (config.indexOnStartup) {
       await vscode.window.withProgress({
@@ -371,7 +682,20 @@ function logError(message, error) {
 async function activate(context) {
   logInfo("Extension activated");
   
+  context.subscriptions.push(api.setSecretStorage(context.secrets));
+  context.subscriptions.push(llmClient.setSecretStorage(context.secrets));
   loadConfiguration();
+
+  completionCache = new CompletionCache(context.globalStorageUri.fsPath, config.cache);
+  completionCache.load().then(() => logInfo(`Loaded ${completionCache.size} cached completions`));
+  suggestionHistory = new SuggestionHistory(context.workspaceState, config.history);
+  gitContext = new GitContextCollector(config.git);
+  editorSnippetCollector = new EditorSnippetCollector({
+    ...config.editorSnippets,
+    // Share the indexer's model instead of loading a second one
+    getEmbedder: () => codebaseIndexer ? codebaseIndexer.vectorIndex.embedProvider : null,
+    isPerlDocument
+  });
   
   try {
     await initTreeSitter();
@@ -393,156 +717,257 @@ async function activate(context) {
 
   // Create debounced version of fetchCode
   const debouncedFetch = debounce(fetchCodeWithDeduplication, debounceTime);
+  const debouncedStream = debounce(startStreamingRequest, debounceTime);
+  const debouncedCompletion = debounce(fetchCodeCompletion, config.codeCompletionDebounceTime);
+
+  errorDiagnostics = new DiagnosticsManager(vscode.languages.createDiagnosticCollection("perl-ai-errors"));
+  context.subscriptions.push(errorDiagnostics);
+  syntaxChecker = new PerlSyntaxChecker(config.syntaxCheck);
+  criticChecker = new PerlCriticChecker(config.perlCritic);
 
-  const debouncedErrorCheck = debounce(
-      (doc) => updateErrorDiagnostics(doc), 
-      errorCheckDebounceTime
+  aiErrorChecker = new IncrementalErrorChecker(checkCodeForErrors, AI_DIAGNOSTIC_SOURCE);
+  errorCheckScheduler = new ErrorCheckScheduler({
+    ...config.errorCheck,
+    onError: (name, doc, err) => logError(`Failed to run ${name} on ${doc.fileName}:`, err)
+  });
+  errorCheckScheduler.addCheck(PerlSyntaxChecker.source, (doc, signal) => updateLocalDiagnostics(syntaxChecker, doc, signal));
+  errorCheckScheduler.addCheck(PerlCriticChecker.source, (doc, signal) => updateLocalDiagnostics(criticChecker, doc, signal));
+  // Only the backend check is limited; the local tools are cheap
+  errorCheckScheduler.addCheck(AI_DIAGNOSTIC_SOURCE, updateErrorDiagnostics, { limited: true });
+  context.subscriptions.push(errorCheckScheduler);
+
+  // Local checkers are skipped in untrusted workspaces; check again once trust is granted
+  context.subscriptions.push(
+      vscode.workspace.onDidGrantWorkspaceTrust(() => {
+          if (vscode.window.activeTextEditor) {
+              errorCheckScheduler.checkNow(vscode.window.activeTextEditor.document, { force: true });
+          }
+      })
   );
 
-  errorDiagnostics = vscode.languages.createDiagnosticCollection("perl-ai-errors");
-  context.subscriptions.push(errorDiagnostics);
+  // Edits in documents nobody is looking at (e.g. from a refactoring) are checked once shown
+  context.subscriptions.push(
+      vscode.workspace.onDidChangeTextDocument(event => {
+          if (event.contentChanges.length > 0 && vscode.window.visibleTextEditors.some(e => e.document === event.document)) {
+              errorCheckScheduler.handle(event.document, 'change');
+          }
+      })
+  );
 
+  // Where the user is working, for the context of later requests
   context.subscriptions.push(
       vscode.workspace.onDidChangeTextDocument(event => {
-          if (vscode.window.activeTextEditor && event.document === vscode.window.activeTextEditor.document) {
-              debouncedErrorCheck(event.document);
+          if (event.contentChanges.length > 0 && isPerlDocument(event.document)) {
+              editorSnippetCollector.recordChange(event);
           }
       })
   );
 
+  context.subscriptions.push(
+      vscode.workspace.onDidSaveTextDocument(doc => errorCheckScheduler.handle(doc, 'save'))
+  );
+
   context.subscriptions.push(
       vscode.window.onDidChangeActiveTextEditor(editor => {
           if (editor) {
-              debouncedErrorCheck(editor.document);
+              errorCheckScheduler.handle(editor.document, 'open');
           }
       })
   );
 
+  const workspaceScan = registerWorkspaceScan(context, {
+    logInfo,
+    logError,
+    getCodebaseIndexer: () => codebaseIndexer,
+    initializeCodebaseIndexer,
+    getErrorCheckScheduler: () => errorCheckScheduler,
+    diagnostics: errorDiagnostics,
+    checkGroups: { local: [PerlSyntaxChecker.source, PerlCriticChecker.source], ai: [AI_DIAGNOSTIC_SOURCE] },
+    getConcurrency: () => config.errorCheck.maxConcurrent
+  });
+
   context.subscriptions.push(
-      vscode.workspace.onDidCloseTextDocument(doc => errorDiagnostics.delete(doc.uri))
+      vscode.workspace.onDidCloseTextDocument(doc => {
+          errorCheckScheduler.forget(doc.uri);
+          aiErrorChecker.forget(doc.uri);
+          editorSnippetCollector.forget(doc.uri);
+          // Findings of a workspace scan stay in the Problems panel after the file is closed
+          if (!workspaceScan.isScanned(doc.uri)) errorDiagnostics.delete(doc.uri);
+      })
   );
 
   if (vscode.window.activeTextEditor) {
-      debouncedErrorCheck(vscode.window.activeTextEditor.document);
+      errorCheckScheduler.handle(vscode.window.activeTextEditor.document, 'open');
   }
 
 
 
   context.subscriptions.push(
     vscode.workspace.onDidChangeConfiguration(e => {
-      if (e.affectsConfiguration('perlCodeGeneration')) { // FIX: Corrected typo 'perlCodegeneration'
+      if (e.affectsConfiguration('perlCodeGeneration') || e.affectsConfiguration('http.proxy')) { // FIX: Corrected typo 'perlCodegeneration'
         loadConfiguration();
         logInfo("Configuration updated", config);
+        // Checker or backend settings may change the results of unchanged documents
+        errorCheckScheduler.invalidate();
+        aiErrorChecker.clear();
       }
     })
   );
 
 
+  const treeProvider = new AlternativeSuggestionsProvider();
+  const treeView = vscode.window.createTreeView('perlCodeGen.alternativeSuggestions', {
+    treeDataProvider: treeProvider
+  });
+  context.subscriptions.push(treeView);
+
+  context.subscriptions.push(
+    vscode.window.createTreeView('perlCodeGen.suggestionHistory', {
+      treeDataProvider: new SuggestionHistoryProvider(suggestionHistory)
+    })
+  );
+
+  // Remember which suggestion was used, for the history view
+  function onSuggestionApplied(item) {
+    if (item.source && item.source.historyId) {
+      suggestionHistory.markAccepted(item.source.historyId, item.index);
+    }
+  }
+
+  const suggestionsPanel = new SuggestionsPanelProvider({ logError, onApplied: onSuggestionApplied });
+  context.subscriptions.push(
+    vscode.window.registerWebviewViewProvider(SuggestionsPanelProvider.viewType, suggestionsPanel)
+  );
+
+  /**
+   * Shows suggestions in both the tree view and the webview panel
+   * @param {Array<string|{code: string, explanation?: string}>} suggestions - Code or alternatives
+   * @param {object} [source] - Where the suggestions apply
+   */
+  function showSuggestions(suggestions, source = null) {
+    treeProvider.refresh(suggestions.map(item => (typeof item === 'string' ? item : item.code)), source);
+    suggestionsPanel.refresh(suggestions, source);
+  }
+
+  // Show the inline candidates in the sidebar and history too, without refreshing them on every re-query
+  let lastMirrored = { serialized: '', historyId: null };
+  function mirrorCandidatesToSidebar(candidates, doc, prompt, insertLine) {
+    const serialized = JSON.stringify([doc.uri.toString(), candidates]);
+    if (serialized === lastMirrored.serialized) return lastMirrored.historyId;
+
+    const range = doc.lineAt(insertLine).range;
+    const historyId = suggestionHistory.add({
+      kind: 'inline',
+      uri: doc.uri,
+      range,
+      prompt: prompt.instruction,
+      suggestions: candidates,
+      // Streamed and re-queried candidates for the same prompt update one entry
+      key: `${doc.uri}:${prompt.startLine}:${prompt.instruction}`
+    });
+    lastMirrored = { serialized, historyId };
+    showSuggestions(candidates, { kind: 'insertion', uri: doc.uri, range, text: '', historyId });
+    return historyId;
+  }
+
   const inlineCompletionProvider = {
-    async provideInlineCompletionItems(doc, pos) {
-      const line = doc.lineAt(pos).text;
-      if (!line.trim().startsWith('#')) return { items: [] };
+    async provideInlineCompletionItems(doc, pos, context, token) {
+      // The instruction is the comment block or POD section around the cursor
+      const prompt = PromptCollector.getPromptAt(doc, pos);
+      if (!prompt) {
+        return this.provideCodeCompletionItems(doc, pos, context, token);
+      }
+      if (config.completionMode === 'code') return { items: [] };
       
-      const comment = line.replace(/^(\s*#\s?)/, '').trim();
+      const comment = prompt.instruction;
       if (!comment || comment.length < 3) return { items: [] };
 
-      const suggestion = await debouncedFetch(comment, doc, pos);
+      let candidates;
+      if (config.streaming) {
+        // Re-queries for the stream in progress return at once with the text received so far
+        const requestKey = createRequestKey(comment, doc, pos);
+        const stream = activeStream && activeStream.key === requestKey
+          ? activeStream
+          : await debouncedStream(comment, doc, pos);
+        await stream.firstChunk;
+        candidates = stream.candidates;
+      } else {
+        candidates = await debouncedFetch(comment, doc, pos, token);
+      }
+
+      if (!candidates || token.isCancellationRequested) return { items: [] };
+      const cleanCandidates = [...new Set(
+        candidates.map(code => code.replace(/```[\w]*\n|\n```/g, '')).filter(code => code.trim())
+      )];
+      if (cleanCandidates.length === 0) return { items: [] };
+      const historyId = mirrorCandidatesToSidebar(cleanCandidates, doc, prompt, Math.max(pos.line, prompt.endLine));
+      const acceptCommand = index => ({
+        command: 'perlCodeGen.acceptInlineSuggestion',
+        title: 'Record Accepted Suggestion',
+        arguments: [historyId, index]
+      });
+
+      // Below the block already (blank line after =cut): insert right at the cursor
+      if (pos.line > prompt.endLine) {
+        return {
+          items: cleanCandidates.map((code, index) => ({
+            insertText: code,
+            range: new vscode.Range(pos, pos),
+            command: acceptCommand(index)
+          }))
+        };
+      }
 
-      if (!suggestion) return { items: [] };
-      const cleanCode = suggestion.replace(/```[\w]*\n|\n```/g, '');
-      console.log(cleanCode);
-      const insertPos = new vscode.Position(pos.line, line.length);
+      // Inline items must start at the cursor, so re-emit the rest of the
+      // block unchanged and append the code after its last line
+      const blockEnd = doc.lineAt(prompt.endLine).range.end;
+      const range = new vscode.Range(pos, blockEnd);
+      const blockRest = doc.getText(range);
+      return {
+        items: cleanCandidates.map((code, index) => ({
+          insertText: blockRest + '\n' + code,
+          range,
+          command: acceptCommand(index)
+        }))
+      };
+    },
+
+    // Fill-in-the-middle completion while typing ordinary code
+    async provideCodeCompletionItems(doc, pos, context, token) {
+      if (config.completionMode === 'comment') return { items: [] };
+
+      const line = doc.lineAt(pos).text;
+      const linePrefix = line.substring(0, pos.character);
+      const invoked = context.triggerKind === vscode.InlineCompletionTriggerKind.Invoke;
+      if (!invoked && !shouldTriggerCompletion(linePrefix, line, config.codeCompletionTriggers)) {
+        return { items: [] };
+      }
+
+      const completion = await debouncedCompletion(doc, pos, token);
+      if (!completion || token.isCancellationRequested) return { items: [] };
+
+      const cleanCode = completion.replace(/```[\w]*\n|\n```/g, '');
       return {
         items: [{
-          insertText: '\n' + cleanCode,
-          range: new vscode.Range(insertPos, insertPos)
+          insertText: cleanCode,
+          range: new vscode.Range(pos, pos),
+          // Completions while typing are frequent, so only accepted ones are recorded
+          command: {
+            command: 'perlCodeGen.acceptInlineSuggestion',
+            title: 'Record Accepted Suggestion',
+            arguments: [null, 0, {
+              kind: 'completion',
+              uri: doc.uri,
+              range: doc.lineAt(pos.line).range,
+              prompt: linePrefix.trim(),
+              suggestions: [cleanCode]
+            }]
+          }
         }]
       };
     }
   };
   
-// const codeCompletionProvider = {
-//   async provideCompletionItems(doc, pos, token, context) {
-//     // Only provide completions for Perl files
-//     if (doc.languageId !== 'perl' && 
-//         !doc.fileName.endsWith('.pl') && 
-//         !doc.fileName.endsWith('.pm') && 
-//         !doc.fileName.endsWith('.t')) {
-//       return { items: [] };
-//     }
-
-//     const line = doc.lineAt(pos);
-//     const currentLineText = line.text.substring(0, pos.character);
-//     const fullLineText = line.text;
-    
-//     // Skip if line is empty, comment, or already complete
-//     if (!currentLineText.trim() || 
-//         currentLineText.trim().startsWith('#') ||
-//         this.isLineComplete(fullLineText)) {
-//       return { items: [] };
-//     }
-
-//     // Only trigger on meaningful patterns
-//     if (!this.shouldTriggerCompletion(currentLineText, context)) {
-//       return { items: [] };
-//     }
-
-//     try {
-//       const completion = await fetchCodeCompletion(doc, pos);
-      
-//       if (!completion) {
-//         return { items: [] };
-//       }
-
-//       // Create completion item
-//       const item = new vscode.CompletionItem(
-//         completion,
-//         vscode.CompletionItemKind.Text
-//       );
-      
-//       item.insertText = completion;
-//       item.detail = 'Perl Code Completion';
-//       item.documentation = 'Generated by Perl AI Assistant';
-      
-//       // Set sort text to prioritize this completion
-//       item.sortText = '0000';
-      
-//       return { items: [item] };
-      
-//     } catch (err) {
-//       logError('Error in code completion:', err);
-//       return { items: [] };
-//     }
-//   },
-
-//   shouldTriggerCompletion(text, context) {
-//     // Method/property access
-//     if (text.match(/[\$@%]\w+\.|::|->$/)) return true;
-    
-//     // Variable declarations
-//     if (text.match(/\b(my|our|local)\s+[\$@%]\w*$/)) return true;
-    
-//     // Control structures
-//     if (text.match(/\b(if|while|for|foreach|unless|until)\s*\(?\s*$/)) return true;
-    
-//     // Function calls
-//     if (text.match(/\w+\s*\($/)) return true;
-    
-//     // Hash/array access
-//     if (text.match(/[\$@%]\w+[\[\{]$/)) return true;
-    
-//     // Only trigger after typing at least 2 characters
-//     return text.trim().length >= 2;
-//   },
-
-//   isLineComplete(line) {
-//     // Check if line ends with complete statement
-//     return line.trim().endsWith(';') || 
-//            line.trim().endsWith('}') ||
-//            line.trim().endsWith('{');
-//   }
-// };
-
   context.subscriptions.push(
     vscode.languages.registerInlineCompletionItemProvider(
       { pattern: '**/*.{pl,pm}' }, 
@@ -550,125 +975,225 @@ async function activate(context) {
     )
   );
 
-  //   // Register the code completion provider
-  // context.subscriptions.push(
-  //   vscode.languages.registerCompletionItemProvider(
-  //     { pattern: '**/*.{pl,pm,t}' },
-  //     codeCompletionProvider,
-  //     // Trigger characters - these will activate the completion
-  //     '.', ':', '$', '@', '%', '(', '{', '[', ' ', '-', '>'
-  //   )
-  // );
 
-
-
-  const treeProvider = new AlternativeSuggestionsProvider();
-  const treeView = vscode.window.createTreeView('perlCodeGen.alternativeSuggestions', {
-    treeDataProvider: treeProvider
+  registerSuggestionActions(context, { logError, onApplied: onSuggestionApplied });
+  registerAiFixActions(context, {
+    logError,
+    generateContext: generateContextForComments,
+    diagnosticSource: AI_DIAGNOSTIC_SOURCE,
+    getPreview: () => config.fixPreview
   });
-  context.subscriptions.push(treeView);
-
-  registerCommands(context, { config, logError, logInfo, initializeCodebaseIndexer, getCodebaseIndexer: () => codebaseIndexer})
+  registerCommands(context, {
+    config,
+    logError,
+    logInfo,
+    initializeCodebaseIndexer,
+    getCodebaseIndexer: () => codebaseIndexer,
+    getCompletionCache: () => completionCache,
+    getSuggestionHistory: () => suggestionHistory,
+    getErrorCheckScheduler: () => errorCheckScheduler
+  })
   
   logInfo("Extension setup complete");
 
 // Add these variables at the top with other global state
 let lastSelectedText = '';
 let lastSuggestions = [];
+let lastHistoryId = null;
+let lastInstruction = '';
+let alternativesAbortController = null;
+
+// Enhanced Perl file detection - check both languageId and file extension
+function isPerlDocument(doc) {
+  return doc.languageId === 'perl' || 
+         doc.fileName.endsWith('.pl') || 
+         doc.fileName.endsWith('.pm') || 
+         doc.fileName.endsWith('.t');
+}
 
 // Replace the processSelectionForSidebar function with this improved version
 const processSelectionForSidebar = debounce(async (event) => {
+  // Without automatic mode, alternatives are only requested by command
+  if (!config.automaticAlternatives) return;
+
   const selection = event.selections[0];
   const doc = event.textEditor.document;
 
-  // Enhanced Perl file detection - check both languageId and file extension
-  const isPerlFile = doc.languageId === 'perl' || 
-                     doc.fileName.endsWith('.pl') || 
-                     doc.fileName.endsWith('.pm') || 
-                     doc.fileName.endsWith('.t');
-
   // Handle non-Perl files first
-  if (!isPerlFile) {
+  if (!isPerlDocument(doc)) {
       // logInfo(`Skipping suggestion for non-Perl file: ${doc.languageId}, filename: ${doc.fileName}`);
-      treeProvider.refresh([`Error: Only Perl code suggestions are supported. Current file is a '${doc.languageId}' file (${doc.fileName}).`]);
+      showSuggestions([`Error: Only Perl code suggestions are supported. Current file is a '${doc.languageId}' file (${doc.fileName}).`]);
       return; 
   }
   
   if (!selection || selection.isEmpty) {
       // Don't clear immediately - only clear if we had no previous selection
       if (lastSelectedText === '') {
-          treeProvider.refresh([]);
+          showSuggestions([]);
       }
       return;
   }
 
+  if (doc.getText(selection).trim()) {
+    await requestAlternatives(doc, selection);
+  } else {
+      // Only clear if we're moving away from a selection
+      if (lastSelectedText !== '') {
+          lastSelectedText = '';
+          lastSuggestions = [];
+          showSuggestions([]);
+      }
+  }
+}, debounceTime); 
+  context.subscriptions.push(
+    vscode.window.onDidChangeTextEditorSelection(processSelectionForSidebar)
+  );
+
+/**
+ * Requests alternatives for a selection and shows them in the sidebar
+ * @param {vscode.TextDocument} doc - Document containing the selection
+ * @param {vscode.Selection} selection - The selected code
+ * @param {string} [instruction] - What the user wants changed, e.g. "use Moose"
+ */
+async function requestAlternatives(doc, selection, instruction = '') {
   const selectedText = doc.getText(selection);
+  const source = {
+    kind: 'selection',
+    uri: doc.uri,
+    range: new vscode.Range(selection.start, selection.end),
+    text: selectedText
+  };
   
-  // If the selected text is the same as last time, don't make a new request
-  if (selectedText.trim() === lastSelectedText.trim() && lastSuggestions.length > 0) {
+  // If the selected text and instruction are the same as last time, don't make a new request
+  if (selectedText.trim() === lastSelectedText.trim() && instruction === lastInstruction && lastSuggestions.length > 0) {
       logInfo("Using cached suggestions for same selection");
-      treeProvider.refresh(lastSuggestions);
+      // A plain message means there was nothing to apply
+      source.historyId = lastHistoryId;
+      showSuggestions(lastSuggestions, typeof lastSuggestions[0] === 'string' ? null : source);
       return;
   }
 
-  if (selectedText.trim()) {
     try {
       logInfo("Sending request to backend for alternative suggestions...");
       
-      const response = await api.post('/altCode/', { code: selectedText });
-      
-      const alternatives = response.data.alternatives || [];
+      // A newer selection supersedes any request still running for the previous one
+      if (alternativesAbortController) alternativesAbortController.abort();
+      alternativesAbortController = new AbortController();
+      const signal = alternativesAbortController.signal;
+
+      const alternatives = config.streaming
+        ? await getProvider().streamAlternatives(selectedText, {
+            signal,
+            instruction,
+            onPartial: partial => showSuggestions(partial, source)
+          })
+        : await getProvider().suggestAlternatives(selectedText, { signal, instruction });
       
-      const suggestionsForSidebar = alternatives.map(item => item.code);
+      const suggestionsForSidebar = [...alternatives];
 
       if (suggestionsForSidebar.length === 0) {
           suggestionsForSidebar.push("No specific code suggestions received from AI, or response format was unexpected.");
       }
 
+      if (alternatives.length > 0) {
+        source.historyId = suggestionHistory.add({
+          kind: 'alternatives',
+          uri: doc.uri,
+          range: source.range,
+          text: selectedText,
+          prompt: instruction,
+          suggestions: alternatives
+        });
+      }
+
       // Cache the results
       lastSelectedText = selectedText.trim();
       lastSuggestions = suggestionsForSidebar;
+      lastHistoryId = source.historyId || null;
+      lastInstruction = instruction;
       
-      treeProvider.refresh(suggestionsForSidebar); 
+ 
+      // Only real alternatives can be applied to the selection
+      showSuggestions(suggestionsForSidebar, alternatives.length > 0 ? source : null); 
       logInfo("Sidebar refreshed with backend suggestions.");
 
     } catch (err) {
+      if (isCancellationError(err)) {
+        logInfo('Alternative suggestions request was cancelled by a newer selection.');
+        return;
+      }
       logError('Failed to fetch alternative suggestions from backend', err);
       
       let userFacingErrorMessage = "An unexpected error occurred. Please check the Debug Console for details.";
 
       if (err.code === 'ECONNREFUSED') {
-          userFacingErrorMessage = "Error: Backend server is not running. Please start your FastAPI backend.";
+          const provider = getProvider();
+          userFacingErrorMessage = provider.name === 'fastapi'
+            ? `Error: Backend server is not running at ${provider.client.baseUrl}. Please start your FastAPI backend or check perlCodeGeneration.backend.baseUrl.`
+            : `Error: Could not reach the ${provider.name} endpoint at ${provider.client.baseUrl}. Check perlCodeGeneration.llm.baseUrl.`;
+      } else if (err.response && (err.response.status === 401 || err.response.status === 403)) {
+          const provider = getProvider();
+          userFacingErrorMessage = provider.name === 'fastapi'
+            ? 'Error: The backend rejected the API token. Run "Perl: Set Backend API Token" to update it.'
+            : `Error: The ${provider.name} endpoint rejected the API key. Run "Perl: Set LLM Provider API Key" to update it.`;
       } else if (err.response && err.response.data && err.response.data.alternatives && err.response.data.alternatives.length > 0) {
           userFacingErrorMessage = `Backend Error: ${err.response.data.alternatives[0].code}`;
       } else if (err.message) {
           userFacingErrorMessage = `Error fetching suggestions: ${err.message}`;
       }
 
-      treeProvider.refresh([userFacingErrorMessage]);
+      showSuggestions([userFacingErrorMessage]);
     }
-  } else {
-      // Only clear if we're moving away from a selection
-      if (lastSelectedText !== '') {
-          lastSelectedText = '';
-          lastSuggestions = [];
-          treeProvider.refresh([]);
-      }
-  }
-}, debounceTime); 
+}
+
   context.subscriptions.push(
-    vscode.window.onDidChangeTextEditorSelection(processSelectionForSidebar)
+    vscode.commands.registerCommand('perlcodegeneration.suggestAlternatives', async () => {
+      const editor = vscode.window.activeTextEditor;
+      if (!editor || editor.selection.isEmpty || !editor.document.getText(editor.selection).trim()) {
+        vscode.window.showWarningMessage('Select the Perl code to get alternatives for');
+        return;
+      }
+      if (!isPerlDocument(editor.document)) {
+        vscode.window.showWarningMessage('Alternative suggestions are only available for Perl files');
+        return;
+      }
+
+      const instruction = await vscode.window.showInputBox({
+        prompt: 'Optional instruction for the alternatives (leave empty for general alternatives)',
+        placeHolder: 'e.g. make this faster, use Moose',
+        ignoreFocusOut: true
+      });
+      if (instruction === undefined) return;
+
+      await vscode.commands.executeCommand('perlCodeGen.alternativeSuggestions.focus');
+      await vscode.window.withProgress(
+        { location: { viewId: 'perlCodeGen.alternativeSuggestions' } },
+        () => requestAlternatives(editor.document, editor.selection, instruction.trim())
+      );
+    })
   );
 
   context.subscriptions.push(
     vscode.commands.registerCommand('perlcodegeneration.showSuggestions', () => {
       const dummySuggestions = ['Suggested fix 1', 'Suggested snippet 2'];
-      treeProvider.refresh(dummySuggestions);  // use the same instance!
+      showSuggestions(dummySuggestions);
     })
   );
 
   context.subscriptions.push(
-    vscode.commands.registerCommand('perlCodeGen.copySuggestion', async (codeToCopy) => {
+    vscode.commands.registerCommand('perlCodeGen.acceptInlineSuggestion', (historyId, index, completion) => {
+      if (historyId) {
+        suggestionHistory.markAccepted(historyId, index);
+      } else if (completion) {
+        suggestionHistory.add({ ...completion, acceptedIndex: index });
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.commands.registerCommand('perlCodeGen.copySuggestion', async (suggestionOrItem) => {
+        // Clicking an item passes the code; the context menu passes the tree item
+        const codeToCopy = typeof suggestionOrItem === 'string' ? suggestionOrItem : suggestionOrItem.suggestion;
         await vscode.env.clipboard.writeText(codeToCopy);
         vscode.window.showInformationMessage('Suggestion copied to clipboard!');
     })
@@ -682,9 +1207,14 @@ exports.activate = activate;
 /**
  * Extension deactivation handler
  */
-function deactivate() {
+async function deactivate() {
   logInfo("Extension deactivated");
   
+  if (completionCache) {
+    await completionCache.flush();
+    completionCache = null;
+  }
+  
   // Clean up resources
   if (codebaseIndexer) {
     codebaseIndexer.dispose();
@@ -703,14 +1233,6 @@ function getCodebaseIndexer() {
 }
 
 
-function escapeHtml(str) {
-  return str.replace(/[&<>"']/g, tag => ({
-    '&': '&amp;', '<': '&lt;', '>': '&gt;',
-    '"': '&quot;', "'": '&#39;'
-  }[tag]));
-}
-
-
 module.exports = {
   activate,
   deactivate,
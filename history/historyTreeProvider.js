@@ -0,0 +1,93 @@
+const vscode = require('vscode');
+const path = require('path');
+const { SuggestionHistory } = require('./suggestionHistory');
+
+const KIND_LABELS = {
+  alternatives: 'Alternatives',
+  inline: 'Inline',
+  completion: 'Completion'
+};
+
+/**
+ * Tree of past suggestions: files, then the rounds of suggestions shown in
+ * each file, then the suggestions themselves
+ */
+class SuggestionHistoryProvider {
+  /**
+   * @param {SuggestionHistory} history - The history store
+   */
+  constructor(history) {
+    this.history = history;
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    history.onDidChange(() => this._onDidChangeTreeData.fire());
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  getChildren(element) {
+    if (!element) return this._getFileItems();
+    if (element.entries) return element.entries.map(entry => this._createEntryItem(entry));
+    if (element.entry) return this._createSuggestionItems(element.entry);
+    return [];
+  }
+
+  _getFileItems() {
+    // Entries are newest first, so files are ordered by their latest activity
+    const byFile = new Map();
+    for (const entry of this.history.entries) {
+      if (!byFile.has(entry.uri)) byFile.set(entry.uri, []);
+      byFile.get(entry.uri).push(entry);
+    }
+
+    return [...byFile].map(([uriString, entries]) => {
+      const uri = vscode.Uri.parse(uriString);
+      const item = new vscode.TreeItem(path.basename(uri.path), vscode.TreeItemCollapsibleState.Collapsed);
+      item.resourceUri = uri;
+      item.description = `${vscode.workspace.asRelativePath(uri)} (${entries.length})`;
+      item.iconPath = vscode.ThemeIcon.File;
+      item.entries = entries;
+      return item;
+    });
+  }
+
+  _createEntryItem(entry) {
+    const summary = (entry.prompt || entry.text).split('\n').find(line => line.trim()) || '(empty)';
+    const item = new vscode.TreeItem(summary.trim(), vscode.TreeItemCollapsibleState.Collapsed);
+    item.description = `${KIND_LABELS[entry.kind]} · ${new Date(entry.timestamp).toLocaleString()}`;
+    item.tooltip = new vscode.MarkdownString(
+      `**${KIND_LABELS[entry.kind]}** at line ${entry.range.start.line + 1}\n\n\`\`\`perl\n${entry.prompt || entry.text}\n\`\`\``
+    );
+    item.iconPath = new vscode.ThemeIcon(entry.acceptedIndex === null ? 'history' : 'pass');
+    item.entry = entry;
+    return item;
+  }
+
+  _createSuggestionItems(entry) {
+    const source = SuggestionHistory.toSource(entry);
+    return entry.suggestions.map((suggestion, index) => {
+      const item = new vscode.TreeItem(`Suggestion ${index + 1}`, vscode.TreeItemCollapsibleState.None);
+      item.description = suggestion.code.split('\n')[0].trim();
+      item.tooltip = new vscode.MarkdownString(
+        (suggestion.explanation ? `${suggestion.explanation}\n\n` : '') + `\`\`\`perl\n${suggestion.code}\n\`\`\``
+      );
+      item.iconPath = index === entry.acceptedIndex ? new vscode.ThemeIcon('check') : undefined;
+      item.command = {
+        command: 'perlCodeGen.copySuggestion',
+        title: 'Copy Suggestion',
+        arguments: [suggestion.code]
+      };
+
+      // Same shape as the sidebar items, so the replace/insert/diff actions apply
+      item.suggestion = suggestion.code;
+      item.source = source;
+      item.index = index;
+      item.contextValue = source.kind === 'insertion' ? 'perlCandidate' : 'perlSuggestion';
+      return item;
+    });
+  }
+}
+
+module.exports = { SuggestionHistoryProvider };
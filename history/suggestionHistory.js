@@ -0,0 +1,123 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+
+const STATE_KEY = 'perlCodeGen.suggestionHistory';
+
+/**
+ * Log of the suggestions shown to the user, newest first, persisted in the
+ * workspace state so earlier rounds can be browsed and re-applied later.
+ *
+ * Entries are plain JSON:
+ * `{id, kind, uri, range, text, prompt, suggestions, acceptedIndex, timestamp}`
+ * where kind is 'alternatives' (sidebar selection), 'inline' (comment-driven
+ * candidates) or 'completion' (accepted code completion).
+ */
+class SuggestionHistory {
+  /**
+   * @param {vscode.Memento} memento - Workspace state
+   * @param {object} [options] - maxEntries
+   */
+  constructor(memento, options = {}) {
+    this.memento = memento;
+    this.entries = memento.get(STATE_KEY, []);
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+    this.configure(options);
+  }
+
+  /**
+   * @param {object} options - maxEntries (0 disables the history)
+   */
+  configure({ maxEntries = 100 } = {}) {
+    this.maxEntries = Math.max(0, maxEntries);
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(0, this.maxEntries);
+      this._save();
+    }
+  }
+
+  /**
+   * Records a round of suggestions. While a request is still producing
+   * candidates (streaming, re-queries) the entry with the same key is updated
+   * instead of adding a new one.
+   * @param {object} entry - kind, document uri, range, text, prompt, suggestions and an optional key
+   * @returns {string|null} Id of the entry, or null when the history is disabled
+   */
+  add({ kind, uri, range, text = '', prompt = '', suggestions, key = null, acceptedIndex = null }) {
+    if (this.maxEntries === 0) return null;
+
+    const latest = this.entries[0];
+    if (key && latest && latest.key === key && latest.acceptedIndex === null) {
+      latest.suggestions = suggestions.map(toStoredSuggestion);
+      latest.timestamp = Date.now();
+      this._save();
+      return latest.id;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      key,
+      kind,
+      uri: uri.toString(),
+      range: {
+        start: { line: range.start.line, character: range.start.character },
+        end: { line: range.end.line, character: range.end.character }
+      },
+      text,
+      prompt,
+      suggestions: suggestions.map(toStoredSuggestion),
+      acceptedIndex,
+      timestamp: Date.now()
+    };
+    this.entries = [entry, ...this.entries].slice(0, this.maxEntries);
+    this._save();
+    return entry.id;
+  }
+
+  /**
+   * Marks which suggestion of an entry was accepted or applied
+   * @param {string} id - Entry id
+   * @param {number} index - Suggestion index
+   */
+  markAccepted(id, index) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry || entry.acceptedIndex === index) return;
+    entry.acceptedIndex = index;
+    this._save();
+  }
+
+  clear() {
+    this.entries = [];
+    this._save();
+  }
+
+  /**
+   * Rebuilds the source a suggestion applies to, in the shape used by the
+   * sidebar suggestion actions
+   * @param {object} entry - History entry
+   */
+  static toSource(entry) {
+    const { start, end } = entry.range;
+    return {
+      kind: entry.kind === 'alternatives' ? 'selection' : 'insertion',
+      uri: vscode.Uri.parse(entry.uri),
+      range: new vscode.Range(start.line, start.character, end.line, end.character),
+      text: entry.text,
+      historyId: entry.id
+    };
+  }
+
+  _save() {
+    this.memento.update(STATE_KEY, this.entries);
+    this._onDidChange.fire();
+  }
+}
+
+function toStoredSuggestion(suggestion) {
+  if (typeof suggestion === 'string') return { code: suggestion };
+  return suggestion.explanation
+    ? { code: suggestion.code, explanation: suggestion.explanation }
+    : { code: suggestion.code };
+}
+
+module.exports = { SuggestionHistory };
@@ -1,6 +1,4 @@
-const { initTreeSitter, getParser } = require('../parsers/treeSitter');
-
-parser = getParser()
+const { parsePerl } = require('../parsers/treeSitter');
 
 /**
  * Specialized index for Perl code structures 
@@ -20,10 +18,10 @@ class PerlCodeStructureIndex {
     const structures = [];
     
     try {
-      console.log(`Extracting structures from ${filepath}, parser available: ${!!parser}`);
-      // Use Tree-sitter if available
-      if (parser) {
-        const tree = parser.parse(contents);
+      // Use Tree-sitter if available; the parser is set up after this module is loaded
+      const tree = parsePerl(contents);
+      console.log(`Extracting structures from ${filepath}, parser available: ${!!tree}`);
+      if (tree) {
         this._extractStructuresFromTree(tree.rootNode, contents, structures);
         console.log(`Tree-sitter extracted ${structures.length} structures`);
       } else {
@@ -83,9 +81,14 @@ class PerlCodeStructureIndex {
       }
     }
 
-    // Visit children
+    // Visit children; `package Name;` applies to the siblings after it
+    let childPackage = parentPackage;
     for (let i = 0; i < node.childCount; i++) {
-      this._extractStructuresFromTree(node.child(i), contents, structures, parentPackage);
+      const child = node.child(i);
+      this._extractStructuresFromTree(child, contents, structures, childPackage);
+      if (child.type === 'package_statement' && !child.childForFieldName('body') && child.child(1)) {
+        childPackage = contents.slice(child.child(1).startIndex, child.child(1).endIndex);
+      }
     }
   }
 
@@ -96,7 +99,7 @@ class PerlCodeStructureIndex {
   _extractStructuresWithRegex(contents, structures) {
     // Track package declarations without adding them as structures
     let currentPackage = '';
-    const packageRegex = /^\s*package\s+([A-Za-z0-9:]+)\s*;/gm;
+    const packageRegex = /^\s*package\s+([A-Za-z0-9:]+)\s*[;{]/gm;
     let match;
     
     // Create a map of package ranges to determine current package context
@@ -207,6 +210,24 @@ class PerlCodeStructureIndex {
     }
     return allStructures;
   }
+
+  /**
+   * Get the subroutines defined in a package
+   * @param {string} packageName - Package name, e.g. 'My::Module'
+   * @returns {Array<Object>} - Name (without the package), file path and line of each
+   */
+  getMethods(packageName) {
+    const prefix = `${packageName}::`;
+    const methods = [];
+    for (const [filepath, structures] of this.structures) {
+      for (const structure of structures) {
+        if (structure.type !== 'subroutine' || !structure.name.startsWith(prefix)) continue;
+        const name = structure.name.slice(prefix.length);
+        if (!name.includes('::')) methods.push({ name, filepath, line: structure.line });
+      }
+    }
+    return methods;
+  }
 }
 
 module.exports = { PerlCodeStructureIndex };
\ No newline at end of file
@@ -4,6 +4,10 @@ const {glob} = require('glob');
 const fs = require('fs').promises;
 const { PerlCodeStructureIndex } = require('./codeStructureIndex');
 const { PerlVectorIndex } = require('./vectorIndex');
+const { toAbortSignal, isCancellationError } = require('../utils/cancellation');
+
+// Similar code fetched per result wanted, so recently changed subs further down can move up
+const RECENCY_CANDIDATES = 3;
 
 /**
  * Main controller for indexing Perl codebase
@@ -12,10 +16,14 @@ class PerlCodebaseIndexer {
   /**
    * @param {vscode.WorkspaceFolder} workspace - The workspace to index
    * @param {vscode.FileSystemWatcher} fileWatcher - File watcher for handling changes
+   * @param {object} [options] - gitContext (GitContextCollector) to rank recently changed code higher,
+   *   and logError(message, error) for failures that only cost a feature
    */
-  constructor(workspace, fileWatcher) {
+  constructor(workspace, fileWatcher, { gitContext = null, logError = null } = {}) {
     this.workspace = workspace;
     this.fileWatcher = fileWatcher;
+    this.gitContext = gitContext;
+    this.logError = logError || ((message, err) => this.log(`${message} ${err.message}`));
     this.structureIndex = new PerlCodeStructureIndex();
     this.vectorIndex = new PerlVectorIndex(this.structureIndex, workspace);    
     // Create output channel for logging
@@ -215,13 +223,29 @@ class PerlCodebaseIndexer {
   }
 
   /**
-   * Find code relevant to a comment
+   * Find code relevant to a comment. With git available, subs changed recently
+   * rank higher than equally similar ones changed long ago; when git fails,
+   * the results keep their similarity order.
    * @param {string} comment - User's comment
    * @param {number} limit - Maximum number of results to return
+   * @param {vscode.CancellationToken} [token] - Cancels the search
    * @returns {Promise<Array<Object>>} - Relevant code snippets
    */
-  async findRelevantCode(comment, limit = 5) {
-    return await this.vectorIndex.findSimilarCode(comment, limit);
+  async findRelevantCode(comment, limit = 5, token) {
+    if (!this.gitContext || !this.gitContext.isEnabled()) {
+      return await this.vectorIndex.findSimilarCode(comment, limit, token);
+    }
+    const candidates = await this.vectorIndex.findSimilarCode(comment, limit * RECENCY_CANDIDATES, token);
+    const abort = toAbortSignal(token);
+    try {
+      const ranked = await this.gitContext.rankByRecency(candidates, abort.signal);
+      return ranked.slice(0, limit);
+    } catch (err) {
+      if (!isCancellationError(err)) this.logError('Ranking related code by recency failed:', err);
+      return candidates.slice(0, limit);
+    } finally {
+      abort.dispose();
+    }
   }
 }
 
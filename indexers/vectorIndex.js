@@ -2,6 +2,7 @@ const lancedb = require('@lancedb/lancedb');
 const path = require('path');
 const os = require('os');
 const { MiniLmEmbeddingProvider } = require('../embeddings/miniLmEmbeddings');
+const { throwIfCancelled, isCancellationError } = require('../utils/cancellation');
 
 /**
  * Vector index for semantic search using LanceDB
@@ -266,15 +267,17 @@ class PerlVectorIndex {
    * Find code similar to the given text
    * @param {string} text - Text to find similar code for
    * @param {number} limit - Maximum number of results
+   * @param {vscode.CancellationToken} [token] - Cancels the search between steps
    * @returns {Promise<Array<Object>>} Similar code snippets
    */
-  async findSimilarCode(text, limit = 5) {
+  async findSimilarCode(text, limit = 5, token) {
     if (!this.table) {
       this._debugLog('Table not initialized for search, initializing now...');
       await this._initDb();
     }
     
     try {
+      throwIfCancelled(token);
       this._debugLog(`Finding similar code for query: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
       
       // First, get all records for debugging
@@ -288,8 +291,10 @@ class PerlVectorIndex {
       }
       
       // Generate embedding for the query text
+      throwIfCancelled(token);
       this._debugLog('Generating embedding for query text...');
       const queryEmbedding = await this.embedProvider.embed(text);
+      throwIfCancelled(token);
       
       this._debugLog(`Query vector generated (${queryEmbedding.length} dimensions)`);
       this._debugLog('Query vector sample:', queryEmbedding.slice(0, 10)); // Show first 10 dimensions
@@ -326,6 +331,7 @@ class PerlVectorIndex {
       
       return formattedResults;
     } catch (err) {
+      if (isCancellationError(err)) throw err;
       console.error('Error finding similar code:', err);
       this._debugLog('Search error:', err);
       return [];
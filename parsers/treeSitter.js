@@ -28,7 +28,19 @@ function initTreeSitter() {
   }
 }
 
+/**
+ * Parses Perl source with the shared parser. The native binding rejects
+ * strings longer than 32K characters, so the text is fed in chunks.
+ * @param {string} text - Source to parse
+ * @returns {Parser.Tree|null} the syntax tree, or null when the parser is unavailable
+ */
+function parsePerl(text) {
+  if (!perlParser) return null;
+  return perlParser.parse(index => text.slice(index, index + 8192));
+}
+
 module.exports = {
   initTreeSitter,
-  getParser: () => perlParser
+  getParser: () => perlParser,
+  parsePerl
 };
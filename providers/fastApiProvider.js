@@ -0,0 +1,166 @@
+const { readStreamEvents } = require('../utils/streamParser');
+
+/**
+ * Generation provider for the project's own FastAPI backend. The backend does
+ * the prompt assembly, so the context payload is posted as-is.
+ */
+class FastApiProvider {
+  /**
+   * @param {import('../api/backendClient').BackendClient} client - Client pointed at the backend
+   */
+  constructor(client) {
+    this.client = client;
+    this.name = 'fastapi';
+  }
+
+  /**
+   * Identifies the backend for caching generated code
+   * @returns {string}
+   */
+  get identity() {
+    return `${this.name}@${this.client.baseUrl}`;
+  }
+
+  /**
+   * Generates code candidates for a comment. The number of candidates is sent
+   * as `n`; the backend answers with `codes` (or a single `code`).
+   * @param {string} comment - The user's instruction
+   * @param {object} context - Payload from generateContextForComments
+   * @param {object} [options] - signal, and count for the number of candidates
+   * @returns {Promise<string[]>} Generated code candidates
+   */
+  async generateCode(comment, context, options = {}) {
+    const response = await this.client.post(
+      '/commentCode/',
+      { message: comment, context, n: options.count || 1 },
+      { signal: options.signal, idempotent: true }
+    );
+    if (Array.isArray(response.data.codes)) return response.data.codes;
+    return response.data.code ? [response.data.code] : [];
+  }
+
+  /**
+   * Generates code candidates from `/commentCode/stream/`, which sends
+   * `{"index": 0, "delta": "..."}` events (or `{"index": 0, "code": "..."}` to
+   * replace that candidate's text so far); `index` defaults to 0
+   * @param {string} comment - The user's instruction
+   * @param {object} context - Payload from generateContextForComments
+   * @param {object} [options] - signal, count, and onPartial(codes) called as the candidates grow
+   * @returns {Promise<string[]>} The complete code candidates
+   */
+  async streamCode(comment, context, options = {}) {
+    const response = await this.client.post(
+      '/commentCode/stream/',
+      { message: comment, context, n: options.count || 1 },
+      { signal: options.signal, responseType: 'stream' }
+    );
+
+    const codes = [];
+    for await (const event of readStreamEvents(response.data)) {
+      const index = Number.isInteger(event.index) ? event.index : 0;
+      if (typeof event.code === 'string') {
+        codes[index] = event.code;
+      } else if (typeof event.delta === 'string') {
+        codes[index] = (codes[index] || '') + event.delta;
+      } else {
+        continue;
+      }
+      if (options.onPartial) options.onPartial(codes.filter(Boolean));
+    }
+    return codes.filter(Boolean);
+  }
+
+  /**
+   * Completes ordinary code at the cursor (fill-in-the-middle)
+   * @param {object} payload - codePrefix, codeSuffix and the generation context fields
+   * @param {object} [options] - Request options (signal)
+   * @returns {Promise<string>} Text to insert at the cursor
+   */
+  async completeCode(payload, options = {}) {
+    const response = await this.client.post(
+      '/commentCode/complete/',
+      payload,
+      { signal: options.signal, idempotent: true }
+    );
+    return response.data.code;
+  }
+
+  /**
+   * Requests alternative implementations of a code selection
+   * @param {string} code - The selected code
+   * @param {object} [options] - Request options (signal, and an optional instruction)
+   * @returns {Promise<Array<{code: string, explanation?: string}>>} Alternatives
+   */
+  async suggestAlternatives(code, options = {}) {
+    const response = await this.client.post(
+      '/altCode/',
+      alternativesBody(code, options.instruction),
+      { signal: options.signal, idempotent: true }
+    );
+    return response.data.alternatives || [];
+  }
+
+  /**
+   * Streams alternatives from `/altCode/stream/`, which sends events of the form
+   * `{"index": 0, "delta": "..."}`, `{"index": 0, "code": "..."}` or `{"index": 0, "explanation": "..."}`
+   * @param {string} code - The selected code
+   * @param {object} [options] - signal, instruction, and onPartial(alternatives) called on every update
+   * @returns {Promise<Array<{code: string, explanation?: string}>>} The complete alternatives
+   */
+  async streamAlternatives(code, options = {}) {
+    const response = await this.client.post(
+      '/altCode/stream/',
+      alternativesBody(code, options.instruction),
+      { signal: options.signal, responseType: 'stream' }
+    );
+
+    const alternatives = [];
+    for await (const event of readStreamEvents(response.data)) {
+      const index = Number.isInteger(event.index) ? event.index : 0;
+      const alt = alternatives[index] || (alternatives[index] = { code: '' });
+      if (typeof event.code === 'string') alt.code = event.code;
+      if (typeof event.delta === 'string') alt.code += event.delta;
+      if (typeof event.explanation === 'string') alt.explanation = event.explanation;
+      if (options.onPartial) options.onPartial(alternatives.filter(Boolean));
+    }
+    return alternatives.filter(Boolean);
+  }
+
+  /**
+   * Fixes a reported error through `/fixCode/`, which answers `{"code": "..."}`
+   * with the replacement for the snippet
+   * @param {object} request - snippet, range, message, codePrefix, codeSuffix and context
+   * @param {object} [options] - Request options (signal)
+   * @returns {Promise<string>} Replacement for the snippet
+   */
+  async fixCode(request, options = {}) {
+    const response = await this.client.post(
+      '/fixCode/',
+      request,
+      { signal: options.signal, idempotent: true }
+    );
+    return response.data.code;
+  }
+
+  /**
+   * Checks code for errors
+   * @param {string} code - The Perl code to analyze
+   * @param {object} [options] - Request options (signal)
+   * @returns {Promise<Array<object>>} Errors as returned by the backend
+   */
+  async checkErrors(code, options = {}) {
+    const response = await this.client.post(
+      '/checkErrors/',
+      { code },
+      { signal: options.signal, idempotent: true }
+    );
+    return response.data.errors;
+  }
+}
+
+// The instruction field is only sent when there is one, for backends that predate it
+function alternativesBody(code, instruction) {
+  return instruction ? { code, instruction } : { code };
+}
+
+module.exports = { FastApiProvider };
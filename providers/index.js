@@ -0,0 +1,43 @@
+const api = require('../api/api');
+const { BackendClient } = require('../api/backendClient');
+const { FastApiProvider } = require('./fastApiProvider');
+const { OpenAiCompatibleProvider } = require('./openAiProvider');
+const { OllamaProvider } = require('./ollamaProvider');
+
+const DEFAULT_LLM_URLS = {
+  openai: 'http://localhost:8080/v1',
+  ollama: 'http://localhost:11434',
+};
+
+// Client for the OpenAI-compatible / Ollama endpoints; the FastAPI provider uses the shared api client
+const llmClient = new BackendClient('perlCodeGeneration.llm.apiKey');
+
+let activeProvider = new FastApiProvider(api);
+
+/**
+ * Selects and configures the generation provider
+ * @param {object} settings - type ('fastapi' | 'openai' | 'ollama'), baseUrl, model,
+ *   temperature, maxTokens, jsonMode
+ * @param {object} connection - timeout, maxRetries, retryDelay and proxy shared with the backend client
+ */
+function configureProvider(settings, connection) {
+  const type = settings.type || 'fastapi';
+  if (type === 'fastapi') {
+    activeProvider = new FastApiProvider(api);
+    return;
+  }
+
+  llmClient.configure({ ...connection, baseUrl: settings.baseUrl || DEFAULT_LLM_URLS[type] });
+  activeProvider = type === 'ollama'
+    ? new OllamaProvider(llmClient, settings)
+    : new OpenAiCompatibleProvider(llmClient, settings);
+}
+
+/**
+ * @returns {FastApiProvider|OpenAiCompatibleProvider} The active generation provider
+ */
+function getProvider() {
+  return activeProvider;
+}
+
+module.exports = { configureProvider, getProvider, llmClient };
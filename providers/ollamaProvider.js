@@ -0,0 +1,98 @@
+const { OpenAiCompatibleProvider } = require('./openAiProvider');
+const { readStreamEvents } = require('../utils/streamParser');
+
+/**
+ * Generation provider for Ollama's native /api/chat endpoint. Prompt assembly
+ * and reply parsing are shared with the OpenAI-compatible provider.
+ */
+class OllamaProvider extends OpenAiCompatibleProvider {
+  constructor(client, settings) {
+    super(client, settings);
+    this.name = 'ollama';
+  }
+
+  /**
+   * Sends a non-streaming chat request and returns the reply text
+   * @protected
+   */
+  async _chat(messages, options = {}) {
+    const body = {
+      model: this.settings.model,
+      messages,
+      stream: false,
+      options: {
+        temperature: this.settings.temperature,
+        num_predict: this.settings.maxTokens,
+      },
+    };
+    if (options.json && this.settings.jsonMode) {
+      body.format = 'json';
+    }
+
+    const response = await this.client.post('/api/chat', body, {
+      signal: options.signal,
+      idempotent: true,
+    });
+    return response.data.message?.content || '';
+  }
+
+  /**
+   * Ollama has no `n` parameter, so each candidate is a separate request
+   * @protected
+   */
+  async _chatChoices(messages, options = {}) {
+    const count = Math.max(1, options.count || 1);
+    return Promise.all(Array.from({ length: count }, () => this._chat(messages, options)));
+  }
+
+  /**
+   * Streams `count` candidates as parallel requests and returns their full texts
+   * @protected
+   */
+  async _chatStream(messages, options = {}) {
+    const count = Math.max(1, options.count || 1);
+    const texts = [];
+    await Promise.all(Array.from({ length: count }, (_, index) =>
+      this._chatStreamSingle(messages, options.signal, text => {
+        texts[index] = text;
+        if (options.onDelta) options.onDelta(texts.filter(Boolean));
+      })
+    ));
+    return texts.filter(Boolean);
+  }
+
+  /**
+   * Sends one streaming chat request (newline-delimited JSON) and returns the full reply
+   * @private
+   */
+  async _chatStreamSingle(messages, signal, onText) {
+    const body = {
+      model: this.settings.model,
+      messages,
+      stream: true,
+      options: {
+        temperature: this.settings.temperature,
+        num_predict: this.settings.maxTokens,
+      },
+    };
+
+    const response = await this.client.post('/api/chat', body, {
+      signal,
+      responseType: 'stream',
+    });
+
+    let text = '';
+    for await (const event of readStreamEvents(response.data)) {
+      if (event.error) throw new Error(event.error);
+      const delta = event.message?.content;
+      if (delta) {
+        text += delta;
+        onText(text);
+      }
+      if (event.done) break;
+    }
+    return text;
+  }
+}
+
+module.exports = { OllamaProvider };
@@ -0,0 +1,203 @@
+const {
+  buildGenerationMessages,
+  buildCompletionMessages,
+  buildAlternativesMessages,
+  buildErrorCheckMessages,
+  buildFixMessages,
+  extractCode,
+  extractJson,
+} = require('./promptBuilder');
+const { readStreamEvents } = require('../utils/streamParser');
+
+/**
+ * Generation provider for OpenAI-compatible chat/completions endpoints
+ * (OpenAI, llama.cpp server, vLLM, LM Studio, Ollama's /v1 API, ...).
+ * Prompts are assembled in the extension from the context payload.
+ */
+class OpenAiCompatibleProvider {
+  /**
+   * @param {import('../api/backendClient').BackendClient} client - Client pointed at the endpoint
+   * @param {object} settings - model, temperature and maxTokens
+   */
+  constructor(client, settings) {
+    this.client = client;
+    this.settings = settings;
+    this.name = 'openai';
+  }
+
+  /**
+   * Identifies the endpoint and model for caching generated code
+   * @returns {string}
+   */
+  get identity() {
+    return `${this.name}@${this.client.baseUrl}#${this.settings.model}`;
+  }
+
+  /**
+   * Generates code candidates for a comment
+   * @param {string} comment - The user's instruction
+   * @param {object} context - Payload from generateContextForComments
+   * @param {object} [options] - signal, and count for the number of candidates
+   * @returns {Promise<string[]>} Generated code candidates
+   */
+  async generateCode(comment, context, options = {}) {
+    const replies = await this._chatChoices(buildGenerationMessages(comment, context), options);
+    return replies.map(extractCode).filter(Boolean);
+  }
+
+  /**
+   * Generates code candidates for a comment, streaming the replies
+   * @param {string} comment - The user's instruction
+   * @param {object} context - Payload from generateContextForComments
+   * @param {object} [options] - signal, count, and onPartial(codes) called as the candidates grow
+   * @returns {Promise<string[]>} The complete code candidates
+   */
+  async streamCode(comment, context, options = {}) {
+    const replies = await this._chatStream(buildGenerationMessages(comment, context), {
+      signal: options.signal,
+      count: options.count,
+      onDelta: texts => {
+        if (options.onPartial) options.onPartial(texts.map(extractCode).filter(Boolean));
+      },
+    });
+    return replies.map(extractCode).filter(Boolean);
+  }
+
+  /**
+   * Completes ordinary code at the cursor (fill-in-the-middle)
+   * @param {object} payload - codePrefix, codeSuffix and the generation context fields
+   * @param {object} [options] - Request options (signal)
+   * @returns {Promise<string>} Text to insert at the cursor
+   */
+  async completeCode(payload, options = {}) {
+    const reply = await this._chat(buildCompletionMessages(payload), options);
+    return extractCode(reply);
+  }
+
+  /**
+   * Requests alternative implementations of a code selection
+   * @param {string} code - The selected code
+   * @param {object} [options] - Request options (signal, and an optional instruction)
+   * @returns {Promise<Array<{code: string, explanation?: string}>>} Alternatives
+   */
+  async suggestAlternatives(code, options = {}) {
+    const reply = await this._chat(buildAlternativesMessages(code, options.instruction), { ...options, json: true });
+    const parsed = extractJson(reply);
+    if (parsed && Array.isArray(parsed.alternatives)) {
+      return parsed.alternatives.filter(alt => alt && typeof alt.code === 'string');
+    }
+    // The model ignored the JSON instruction; fall back to its code block
+    const fallback = extractCode(reply);
+    return fallback ? [{ code: fallback }] : [];
+  }
+
+  /**
+   * Alternatives are returned as one JSON document, which cannot be rendered
+   * while incomplete, so this waits for the full reply
+   * @param {string} code - The selected code
+   * @param {object} [options] - signal, instruction, and onPartial(alternatives)
+   * @returns {Promise<Array<{code: string, explanation?: string}>>} Alternatives
+   */
+  async streamAlternatives(code, options = {}) {
+    const alternatives = await this.suggestAlternatives(code, options);
+    if (options.onPartial) options.onPartial(alternatives);
+    return alternatives;
+  }
+
+  /**
+   * Fixes a reported error
+   * @param {object} request - snippet, range, message, codePrefix, codeSuffix and context
+   * @param {object} [options] - Request options (signal)
+   * @returns {Promise<string>} Replacement for the snippet
+   */
+  async fixCode(request, options = {}) {
+    const reply = await this._chat(buildFixMessages(request), options);
+    return extractCode(reply);
+  }
+
+  /**
+   * Checks code for errors
+   * @param {string} code - The Perl code to analyze
+   * @param {object} [options] - Request options (signal)
+   * @returns {Promise<Array<object>>} Errors in the backend's format
+   */
+  async checkErrors(code, options = {}) {
+    const reply = await this._chat(buildErrorCheckMessages(code), { ...options, json: true });
+    const parsed = extractJson(reply);
+    if (!parsed || !Array.isArray(parsed.errors)) {
+      throw new Error('The model did not return the expected JSON error report');
+    }
+    return parsed.errors;
+  }
+
+  /**
+   * Sends a chat request and returns the assistant's reply text
+   * @protected
+   */
+  async _chat(messages, options = {}) {
+    const [reply] = await this._chatChoices(messages, { ...options, count: 1 });
+    return reply || '';
+  }
+
+  /**
+   * Sends a chat request for `count` choices and returns their texts. Servers
+   * that ignore `n` simply return fewer choices.
+   * @protected
+   */
+  async _chatChoices(messages, options = {}) {
+    const body = {
+      model: this.settings.model,
+      messages,
+      temperature: this.settings.temperature,
+      max_tokens: this.settings.maxTokens,
+    };
+    if (options.count > 1) {
+      body.n = options.count;
+    }
+    if (options.json && this.settings.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await this.client.post('/chat/completions', body, {
+      signal: options.signal,
+      idempotent: true,
+    });
+    return (response.data.choices || []).map(choice => choice.message?.content || '');
+  }
+
+  /**
+   * Sends a streaming chat request and returns the full text of each choice
+   * @protected
+   */
+  async _chatStream(messages, options = {}) {
+    const body = {
+      model: this.settings.model,
+      messages,
+      temperature: this.settings.temperature,
+      max_tokens: this.settings.maxTokens,
+      stream: true,
+    };
+    if (options.count > 1) {
+      body.n = options.count;
+    }
+
+    const response = await this.client.post('/chat/completions', body, {
+      signal: options.signal,
+      responseType: 'stream',
+    });
+
+    const texts = [];
+    for await (const event of readStreamEvents(response.data)) {
+      for (const choice of event.choices || []) {
+        const delta = choice.delta?.content;
+        if (!delta) continue;
+        const index = choice.index || 0;
+        texts[index] = (texts[index] || '') + delta;
+      }
+      if (options.onDelta) options.onDelta(texts.filter(Boolean));
+    }
+    return texts.filter(Boolean);
+  }
+}
+
+module.exports = { OpenAiCompatibleProvider };
@@ -0,0 +1,271 @@
+/**
+ * Builds chat prompts from the context payload for providers that talk to a
+ * general-purpose LLM instead of the FastAPI backend.
+ */
+
+const SYSTEM_PROMPT =
+  'You are an expert Perl developer embedded in a code editor. ' +
+  'Follow the conventions of the surrounding code and only use modules that are already imported ' +
+  'unless the instruction asks otherwise.';
+
+/**
+ * Formats one optional prompt section; empty values produce no section
+ * @param {string} title - Section heading
+ * @param {*} value - String or JSON-serializable value
+ * @returns {string}
+ */
+function section(title, value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value) && value.length === 0) return '';
+  if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return '';
+
+  const body = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  if (!body.trim()) return '';
+  return `## ${title}\n${body}\n\n`;
+}
+
+/**
+ * Flattens the import definition map to the source of each resolved symbol
+ * @param {Object<string, Array<{content: string}>>} importDefinitions
+ * @returns {string}
+ */
+function formatImportDefinitions(importDefinitions) {
+  if (!importDefinitions) return '';
+  return Object.entries(importDefinitions)
+    .filter(([, defs]) => defs.length > 0)
+    .map(([name, defs]) => `# ${name}\n${defs.map(d => d.content).join('\n')}`)
+    .join('\n\n');
+}
+
+/**
+ * Formats the related code found by the codebase indexer
+ * @param {Array<{title: string, path: string, content: string}>} structures
+ * @returns {string}
+ */
+function formatRelatedCode(structures) {
+  if (!structures) return '';
+  return structures.map(s => `# ${s.title} (${s.path})\n${s.content}`).join('\n\n');
+}
+
+/**
+ * Formats the snippets from recently edited regions and other open editors
+ * @param {Array<{path: string, startLine: number, endLine: number, source: string, content: string}>} snippets
+ * @returns {string}
+ */
+function formatEditorSnippets(snippets) {
+  if (!snippets) return '';
+  return snippets.map(s => `# ${s.path}:${s.startLine}-${s.endLine} (${s.source})\n${s.content}`).join('\n\n');
+}
+
+/**
+ * Formats the uncommitted changes of the current file and the modules it imports
+ * @param {Array<{path: string, diff: string, truncated: boolean}>} diffs
+ * @returns {string}
+ */
+function formatGitDiff(diffs) {
+  if (!diffs) return '';
+  return diffs.map(d => d.diff + (d.truncated ? '\n[diff truncated]' : '')).join('\n\n');
+}
+
+/**
+ * Formats Perl::Critic violations found in the file
+ * @param {Array<{line: number, policy: string, severity: number, message: string}>} violations
+ * @returns {string}
+ */
+function formatCriticViolations(violations) {
+  if (!violations) return '';
+  return violations.map(v => `line ${v.line}: ${v.message} [${v.policy}, severity ${v.severity}]`).join('\n');
+}
+
+/**
+ * Formats the variables in scope at the cursor
+ * @param {Array<{name: string, kind: string, line: number, initializer: string|null}>} variables
+ * @returns {string}
+ */
+function formatVisibleVariables(variables) {
+  if (!variables) return '';
+  return variables
+    .map(v => `${v.kind} ${v.name} (line ${v.line})${v.initializer ? ` = ${v.initializer}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Formats the inferred classes of the objects in the current sub
+ * @param {Array<{variable: string, package: string, line: number, inferredFrom: string, methods: string[]}>} objects
+ * @returns {string}
+ */
+function formatObjectTypes(objects) {
+  if (!objects) return '';
+  return objects
+    .map(o => `${o.variable} is a ${o.package} (line ${o.line}: ${o.inferredFrom})` +
+      (o.methods.length > 0 ? `; methods: ${o.methods.join(', ')}` : ''))
+    .join('\n');
+}
+
+/**
+ * Renders the shared context sections of a generation payload
+ * @param {object} context - Payload from generateContextForComments
+ * @returns {string}
+ */
+function formatContext(context) {
+  return (
+    section('File', context.fileName) +
+    section('Project structure', context.projectStructure) +
+    section('Imports', context.imports) +
+    section('Used modules', context.usedModules) +
+    (context.visibleVariables
+      ? section('Variables in scope at the cursor', formatVisibleVariables(context.visibleVariables))
+      : section('Variable definitions', context.variableDefinitions)) +
+    section('Objects and their classes', formatObjectTypes(context.objectTypes)) +
+    section('Imported definitions', formatImportDefinitions(context.importDefinitions)) +
+    section('Uncommitted changes (continue this work where it fits)', formatGitDiff(context.gitDiff)) +
+    section('Code the user recently edited or has open', formatEditorSnippets(context.editorSnippets)) +
+    section('Related code from the project', formatRelatedCode(context.relatedCodeStructures)) +
+    section('Enclosing block', context.currentBlock === 'file_scope' ? null : context.currentBlock) +
+    section('Perl::Critic violations in this file (do not repeat them)', formatCriticViolations(context.criticViolations))
+  );
+}
+
+/**
+ * Builds the messages for comment-to-code generation
+ * @param {string} comment - The user's instruction
+ * @param {object} context - Payload from generateContextForComments
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildGenerationMessages(comment, context) {
+  const user =
+    formatContext(context) +
+    section('Code before the cursor', context.codePrefix) +
+    section('Code after the cursor', context.codeSuffix) +
+    section('Instruction', comment) +
+    'Write the Perl code that implements the instruction at the cursor. ' +
+    'Reply with a single ```perl fenced block and nothing else.';
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: user },
+  ];
+}
+
+/**
+ * Builds the messages for fill-in-the-middle completion at the cursor
+ * @param {object} payload - codePrefix, codeSuffix and the generation context fields
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildCompletionMessages(payload) {
+  const user =
+    formatContext(payload) +
+    section('Code', '```perl\n' + payload.codePrefix + '<CURSOR>' + payload.codeSuffix + '\n```') +
+    'Write the code that belongs at <CURSOR>, continuing the current line. ' +
+    'Reply with a single ```perl fenced block holding only the inserted text, ' +
+    'without repeating the code before or after the cursor.';
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: user },
+  ];
+}
+
+/**
+ * Builds the messages for alternative implementations of a selection
+ * @param {string} code - The selected code
+ * @param {string} [instruction] - What the user wants changed, e.g. "make this faster"
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildAlternativesMessages(code, instruction) {
+  const user =
+    section('Selected code', '```perl\n' + code + '\n```') +
+    (instruction ? section('Instruction', instruction) : '') +
+    'Suggest up to three alternative implementations of the selected code' +
+    (instruction ? ' that follow the instruction. ' : '. ') +
+    'Reply with JSON only, in the form ' +
+    '{"alternatives": [{"code": "<perl code>", "explanation": "<one sentence>"}]}.';
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: user },
+  ];
+}
+
+/**
+ * Builds the messages for an error check
+ * @param {string} code - The code to analyze
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildErrorCheckMessages(code) {
+  // Numbered lines let the model report positions
+  const numbered = code.split('\n').map((line, i) => `${i + 1}| ${line}`).join('\n');
+  const user =
+    section('Code (each line starts with its line number and "| ")', '```perl\n' + numbered + '\n```') +
+    'Find syntax and logic errors in the code. ' +
+    'Reply with JSON only, in the form ' +
+    '{"errors": [{"line": <first line>, "column": <1-based column>, "endLine": <last line>, "endColumn": <column after the last character>, ' +
+    '"severity": "error" | "warning" | "info", "code": "<short error identifier>", "message": "<description>", ' +
+    '"code_chunk": "<exact text copied from the code, without the line number prefixes>"}]}. ' +
+    'Reply with {"errors": []} if there are none.';
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: user },
+  ];
+}
+
+/**
+ * Builds the messages for fixing a reported error
+ * @param {object} request - snippet (the lines to replace), message, codePrefix, codeSuffix and context
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildFixMessages({ snippet, message, codePrefix, codeSuffix, context }) {
+  const user =
+    formatContext(context) +
+    section('Code before the snippet', codePrefix) +
+    section('Snippet', '```perl\n' + snippet + '\n```') +
+    section('Code after the snippet', codeSuffix) +
+    section('Reported problem', message) +
+    'Rewrite the snippet so the reported problem is fixed, changing nothing else. ' +
+    'Keep its indentation. Reply with a single ```perl fenced block holding only the replacement for the snippet.';
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: user },
+  ];
+}
+
+/**
+ * Extracts code from a model reply, preferring the first fenced block. Also
+ * works on a partial reply whose fence has not been closed yet.
+ * @param {string} text - Model reply
+ * @returns {string}
+ */
+function extractCode(text) {
+  // Still receiving the opening fence line
+  if (/^\s*```[\w-]*$/.test(text || '')) return '';
+  const fenced = /```[\w-]*\n([\s\S]*?)(?:```|$)/.exec(text || '');
+  return (fenced ? fenced[1] : text || '').replace(/\n$/, '');
+}
+
+/**
+ * Parses the JSON object in a model reply, tolerating surrounding prose or fences
+ * @param {string} text - Model reply
+ * @returns {object|null} Parsed object, or null if the reply holds no valid JSON
+ */
+function extractJson(text) {
+  const start = (text || '').indexOf('{');
+  const end = (text || '').lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  buildGenerationMessages,
+  buildCompletionMessages,
+  buildAlternativesMessages,
+  buildErrorCheckMessages,
+  buildFixMessages,
+  extractCode,
+  extractJson,
+};
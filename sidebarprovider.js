@@ -5,14 +5,19 @@ class AlternativeSuggestionsProvider {
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
     this.suggestions = [];
+    this.source = null;
   }
 
   /**
    * Refreshes the tree view with new suggestions.
    * @param {string[]} suggestions - An array of code suggestion strings.
+   * @param {object} [source] - Where the suggestions apply: the document uri, the
+   *   range and text of the original selection, and kind 'selection' (replaceable)
+   *   or 'insertion' (an empty range where generated code goes)
    */
-  refresh(suggestions) {
+  refresh(suggestions, source = null) {
     this.suggestions = suggestions;
+    this.source = source;
     this._onDidChangeTreeData.fire();
   }
 
@@ -59,6 +64,14 @@ class AlternativeSuggestionsProvider {
             title: 'Copy Suggestion',
             arguments: [suggestion]
           };
+
+          // Used by the replace/insert/diff context menu actions
+          item.suggestion = suggestion;
+          item.source = this.source;
+          item.index = index;
+          if (this.source) {
+            item.contextValue = this.source.kind === 'insertion' ? 'perlCandidate' : 'perlSuggestion';
+          }
           
           return item;
         })
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { initTreeSitter } = require('../parsers/treeSitter');
+const { PerlCodeStructureIndex } = require('../indexers/codeStructureIndex');
+
+const WIDGET = [
+	'package My::Widget;',
+	'use strict;',
+	'sub new { my $class = shift; return bless {}, $class; }',
+	'sub render { }',
+	'package My::Widget::Button {',
+	'  sub click { }',
+	'}',
+	'sub _private { }',
+	'package main;',
+	'sub helper { }',
+	'1;'
+].join('\n');
+
+suite('PerlCodeStructureIndex', () => {
+	suiteSetup(() => {
+		initTreeSitter();
+	});
+
+	test('attributes subs to the package statement before them', async () => {
+		const index = new PerlCodeStructureIndex();
+		const structures = await index.getCodeStructures('/w/lib/My/Widget.pm', WIDGET);
+		const subs = structures.filter(s => s.type === 'subroutine').map(s => s.name);
+		assert.deepStrictEqual(subs, [
+			'My::Widget::new',
+			'My::Widget::render',
+			'My::Widget::Button::click',
+			'My::Widget::_private',
+			'main::helper'
+		]);
+	});
+
+	test('getMethods lists the subs of one package across files', async () => {
+		const index = new PerlCodeStructureIndex();
+		await index.update([
+			{ path: '/w/lib/My/Widget.pm', content: WIDGET },
+			{ path: '/w/lib/My/Widget/Extra.pm', content: 'package My::Widget;\nsub extra { }\n1;' }
+		]);
+		const methods = index.getMethods('My::Widget');
+		assert.deepStrictEqual(methods.map(m => [m.name, m.filepath]), [
+			['new', '/w/lib/My/Widget.pm'],
+			['render', '/w/lib/My/Widget.pm'],
+			['_private', '/w/lib/My/Widget.pm'],
+			['extra', '/w/lib/My/Widget/Extra.pm']
+		]);
+		assert.deepStrictEqual(index.getMethods('My::Widget::Button').map(m => m.name), ['click']);
+		assert.deepStrictEqual(index.getMethods('No::Such'), []);
+	});
+
+	test('the regex fallback also attributes subs to their package', () => {
+		const index = new PerlCodeStructureIndex();
+		const structures = [];
+		index._extractStructuresWithRegex('package My::Widget;\nsub new {\n}\nsub render {\n}\n', structures);
+		assert.deepStrictEqual(structures.map(s => s.name), ['My::Widget::new', 'My::Widget::render']);
+	});
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { applyContextBudget, estimateTokens, formatBudgetReport } = require('../collectors/contextBudget');
+
+// Ten lines of 39 repeated characters: 399 characters, about 100 tokens
+function block(char) {
+	return Array.from({ length: 10 }, () => char.repeat(39)).join('\n');
+}
+
+function section(report, name) {
+	return report.sections.find(s => s.section === name);
+}
+
+suite('applyContextBudget', () => {
+	test('keeps everything without a budget', () => {
+		const payload = { codePrefix: block('x'), currentBlock: block('b'), criticViolations: ['a', 'b'], imports: { Foo: 'use Foo;' } };
+		const { payload: result, report } = applyContextBudget(payload, 0);
+		assert.deepStrictEqual(result, payload);
+		assert.deepStrictEqual(report.dropped, []);
+		assert.strictEqual(formatBudgetReport(report).split('\n')[0], `~${report.usedTokens} of unlimited tokens`);
+	});
+
+	test('cuts the code around the cursor away from the cursor when it takes over half the budget', () => {
+		const prefix = block('x');
+		const suffix = block('y');
+		const { payload: result, report } = applyContextBudget({ codePrefix: prefix, codeSuffix: suffix }, 100);
+		// 25 tokens each: the last and first two whole lines
+		assert.strictEqual(result.codePrefix, prefix.split('\n').slice(-2).join('\n'));
+		assert.strictEqual(result.codeSuffix, suffix.split('\n').slice(0, 2).join('\n'));
+		assert.strictEqual(section(report, 'codePrefix').status, 'truncated');
+		assert.ok(report.usedTokens <= 50);
+	});
+
+	test('fills the budget by relevance, skipping items too large for the room left', () => {
+		const payload = {
+			codePrefix: 'a'.repeat(40),
+			currentBlock: 'b'.repeat(120),
+			criticViolations: ['c'.repeat(400), 'd'],
+			projectStructure: block('p')
+		};
+		const { payload: result, report } = applyContextBudget(payload, 100);
+		assert.strictEqual(result.currentBlock, payload.currentBlock);
+		assert.deepStrictEqual(result.criticViolations, ['d']);
+		assert.deepStrictEqual(section(report, 'criticViolations'), {
+			section: 'criticViolations', status: 'truncated', tokens: 101, keptTokens: 1, droppedItems: 1
+		});
+		// The rest of the budget holds the first lines of the project structure
+		assert.strictEqual(result.projectStructure, payload.projectStructure.split('\n').slice(0, 5).join('\n'));
+		assert.ok(report.usedTokens <= 100, `${report.usedTokens} tokens used`);
+		assert.deepStrictEqual(report.dropped.map(s => s.section), ['criticViolations', 'projectStructure']);
+	});
+
+	test('sends the definitions of used imports before the others', () => {
+		const payload = {
+			usedModules: ['Foo'],
+			importDefinitions: { Bar: 'g'.repeat(400), Foo: 'f'.repeat(20) }
+		};
+		const { payload: result, report } = applyContextBudget(payload, 60);
+		assert.deepStrictEqual(result.importDefinitions, { Foo: payload.importDefinitions.Foo });
+		assert.strictEqual(section(report, 'importDefinitions (used)').status, 'kept');
+		assert.strictEqual(section(report, 'importDefinitions (other)').status, 'dropped');
+
+		const unlimited = applyContextBudget(payload, 0).payload;
+		assert.deepStrictEqual(unlimited.importDefinitions, payload.importDefinitions);
+	});
+});
+
+suite('estimateTokens', () => {
+	test('counts about four characters per token, of strings or their JSON', () => {
+		assert.strictEqual(estimateTokens(null), 0);
+		assert.strictEqual(estimateTokens('12345678'), 2);
+		assert.strictEqual(estimateTokens(['ab']), 2);
+	});
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { initTreeSitter } = require('../parsers/treeSitter');
+const ContextCollector = require('../collectors/contextCollector');
+
+// The window getCodeAround picks around a cursor at the start of `cursorLine`
+async function windowAround(lines, cursorLine, linesBefore, linesAfter) {
+	const doc = await vscode.workspace.openTextDocument({ language: 'perl', content: lines.join('\n') });
+	const { startLine, endLine, fullPrefix } = ContextCollector.getCodeAround(
+		doc, new vscode.Position(cursorLine, 0), linesBefore, linesAfter
+	);
+	return { startLine, endLine, fullPrefix };
+}
+
+suite('ContextCollector.getCodeAround', () => {
+	suiteSetup(() => {
+		initTreeSitter();
+	});
+
+	test('takes in a statement the window starts inside, and leaves out a long one it ends inside', async () => {
+		const lines = [
+			'my %config = (',
+			'  host => "a",',
+			'  port => 1,',
+			');',
+			'my $x = 1;',
+			'my $y = 2;',
+			'',
+			'my $z = 3;',
+			'my @list = (',
+			'  1,',
+			'  2,',
+			'  3,',
+			'  4,',
+			');'
+		];
+		const { startLine, endLine } = await windowAround(lines, 6, 4, 4);
+		assert.deepStrictEqual([startLine, endLine], [0, 7]);
+	});
+
+	test('does not start inside a heredoc', async () => {
+		const lines = ['my $x = 1;', 'print <<"END";', 'text', 'more', 'END', 'my $y = 2;', ''];
+		const { startLine, fullPrefix } = await windowAround(lines, 6, 3, 3);
+		assert.strictEqual(startLine, 1);
+		assert.ok(fullPrefix.startsWith('print <<"END";'));
+	});
+
+	test('takes in the whole enclosing sub when it is a little larger than the window', async () => {
+		const lines = [
+			'use strict;',
+			'sub handler {',
+			'  my ($self) = @_;',
+			'  my $a = 1;',
+			'  my $b = 2;',
+			'',
+			'  my $c = 3;',
+			'  my $d = 4;',
+			'  return $a;',
+			'}',
+			'1;'
+		];
+		const whole = await windowAround(lines, 5, 3, 3);
+		assert.deepStrictEqual([whole.startLine, whole.endLine], [1, 9]);
+		// A smaller window may cut between the statements of the sub's body
+		const part = await windowAround(lines, 5, 2, 2);
+		assert.deepStrictEqual([part.startLine, part.endLine], [3, 7]);
+	});
+
+	test('always keeps the cursor line', async () => {
+		const lines = ['my @list = (', ...Array.from({ length: 8 }, (_, i) => `  ${i},`), ');'];
+		const { startLine, endLine } = await windowAround(lines, 5, 2, 2);
+		assert.deepStrictEqual([startLine, endLine], [5, 5]);
+	});
+});
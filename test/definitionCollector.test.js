@@ -0,0 +1,63 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { initTreeSitter } = require('../parsers/treeSitter');
+const DefinitionCollector = require('../collectors/definitionCollector');
+
+// Opens Perl source with a `<CURSOR>` marker and returns the document and the marker's position
+async function openAtCursor(source) {
+	const offset = source.indexOf('<CURSOR>');
+	const doc = await vscode.workspace.openTextDocument({ language: 'perl', content: source.replace('<CURSOR>', '') });
+	return { doc, position: doc.positionAt(offset) };
+}
+
+async function visibleVariables(source) {
+	const { doc, position } = await openAtCursor(source);
+	return DefinitionCollector.findVisibleVariables(doc, position);
+}
+
+suite('DefinitionCollector.findVisibleVariables', () => {
+	suiteSetup(() => {
+		initTreeSitter();
+	});
+
+	test('keeps method-call initializers whole', async () => {
+		const variables = await visibleVariables('my $sth = $dbh->prepare("q");\nmy $rows = $sth->fetchall_arrayref({});\n<CURSOR>');
+		assert.deepStrictEqual(variables.map(v => v.initializer), ['$dbh->prepare("q")', '$sth->fetchall_arrayref({})']);
+		assert.strictEqual(variables[0].declaration, 'my $sth = $dbh->prepare("q");');
+	});
+
+	test('keeps arithmetic, concatenation and ternary initializers whole', async () => {
+		const variables = await visibleVariables('my $multi =\n  1 + 2;\nmy $s = "a" . $b . "c";\nmy $t = $a ? $b : $c;\n<CURSOR>');
+		assert.deepStrictEqual(variables.map(v => v.initializer), ['1 + 2', '"a" . $b . "c"', '$a ? $b : $c']);
+	});
+
+	test('leaves statement modifiers and enclosing conditions out of the initializer', async () => {
+		const variables = await visibleVariables('my $x = foo() if $y;\nif ((my $m = 1) > 0) { <CURSOR> }');
+		assert.deepStrictEqual(variables.map(v => v.declaration), ['my $x = foo();', 'my $m = 1;']);
+	});
+
+	test('lists list declarations without an initializer', async () => {
+		const variables = await visibleVariables('my ($self, %args);\n<CURSOR>');
+		assert.deepStrictEqual(variables.map(v => [v.name, v.initializer]), [['$self', null], ['%args', null]]);
+	});
+
+	test('only includes declarations before the cursor in enclosing blocks', async () => {
+		const variables = await visibleVariables([
+			'my $outer = 1;',
+			'sub other { my $hidden = 2; }',
+			'foreach my $item (@list) {',
+			'  my $inner = $item;',
+			'  <CURSOR>',
+			'}',
+			'my $later = 3;'
+		].join('\n'));
+		assert.deepStrictEqual(variables.map(v => v.name), ['$outer', '$item', '$inner']);
+	});
+
+	test('a later declaration shadows an earlier one', async () => {
+		const variables = await visibleVariables('my $x = 1;\n{\n  my $x = 2;\n  <CURSOR>\n}');
+		assert.strictEqual(variables.length, 1);
+		assert.strictEqual(variables[0].initializer, '2');
+		assert.strictEqual(variables[0].line, 3);
+	});
+});
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { initTreeSitter } = require('../parsers/treeSitter');
+const { EditorSnippetCollector } = require('../collectors/editorSnippetCollector');
+
+// Embeds texts mentioning a price along one axis and everything else along the other
+class FakeEmbedder {
+	constructor() {
+		this.batches = [];
+	}
+
+	async embedBatch(texts) {
+		this.batches.push(texts);
+		return texts.map(text => (/price/i.test(text) ? [1, 0] : [0, 1]));
+	}
+}
+
+suite('EditorSnippetCollector', () => {
+	suiteSetup(() => {
+		initTreeSitter();
+	});
+
+	// An editor with 30 separate edits, the oldest of them the only code about prices
+	async function editedCollector(embedder) {
+		const lines = Array.from({ length: 300 }, (_, i) => `my $value_${i} = ${i};`);
+		lines[0] = 'my $total_price = $price * $quantity;';
+		const doc = await vscode.workspace.openTextDocument({ language: 'perl', content: lines.join('\n') });
+		const collector = new EditorSnippetCollector({ getEmbedder: () => embedder, maxEdits: 30 });
+		for (let line = 0; line < 300; line += 10) {
+			collector.recordChange({
+				document: doc,
+				contentChanges: [{ range: new vscode.Range(line, 0, line, 0), text: 'x' }]
+			});
+		}
+		const current = await vscode.workspace.openTextDocument({ language: 'perl', content: '' });
+		return { collector, current };
+	}
+
+	test('embeds a few preselected snippets in one batch', async () => {
+		const embedder = new FakeEmbedder();
+		const { collector, current } = await editedCollector(embedder);
+		const snippets = await collector.collect('# compute the total price', current, { startLine: 0, endLine: 0 });
+
+		assert.strictEqual(embedder.batches.length, 1);
+		assert.ok(embedder.batches[0].length <= 17, `${embedder.batches[0].length} texts embedded`);
+		// The oldest edit made it in by sharing words with the comment
+		assert.strictEqual(snippets[0].startLine, 1);
+		assert.match(snippets[0].content, /total_price/);
+	});
+
+	test('reuses the embeddings of unchanged snippets', async () => {
+		const embedder = new FakeEmbedder();
+		const { collector, current } = await editedCollector(embedder);
+		const window = { startLine: 0, endLine: 0 };
+		await collector.collect('# compute the total price', current, window);
+		await collector.collect('# compute the total price', current, window);
+		assert.strictEqual(embedder.batches.length, 1);
+	});
+});
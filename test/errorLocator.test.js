@@ -0,0 +1,85 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { createErrorDiagnostics, locateError, toSeverity } = require('../diagnostics/errorLocator');
+
+const SOURCE = [
+	'use strict;',
+	'sub total {',
+	'    my ($a, $b) = @_;',
+	'    return $a + $b;',
+	'}',
+	'print total(1, 2);',
+	'print total(3, 4);'
+].join('\n');
+
+// [startLine, startCharacter, endLine, endCharacter], 0-based
+function span(range) {
+	return range && [range.start.line, range.start.character, range.end.line, range.end.character];
+}
+
+suite('errorLocator', () => {
+	let doc;
+	suiteSetup(async () => {
+		doc = await vscode.workspace.openTextDocument({ language: 'perl', content: SOURCE });
+	});
+
+	test('places an error by its 1-based line and columns', () => {
+		assert.deepStrictEqual(span(locateError(doc, { line: 3, column: 9, endLine: 3, endColumn: 16 })), [2, 8, 2, 15]);
+		// Without columns, the line's code without its indentation
+		assert.deepStrictEqual(span(locateError(doc, { line: 4 })), [3, 4, 3, 19]);
+		// Lines outside the document are ignored
+		assert.strictEqual(locateError(doc, { line: 99 }), null);
+	});
+
+	test('uses a code chunk next to the reported line to find the columns', () => {
+		assert.deepStrictEqual(span(locateError(doc, { line: 4, code_chunk: '$a + $b' })), [3, 11, 3, 18]);
+	});
+
+	test('finds a code chunk with different whitespace', () => {
+		assert.deepStrictEqual(span(locateError(doc, { code_chunk: 'my ($a,   $b)\n=  @_' })), [2, 4, 2, 20]);
+	});
+
+	test('falls back to an approximate match of the chunk\'s first line', () => {
+		assert.deepStrictEqual(span(locateError(doc, { code_chunk: 'return $a + $b + 0;' })), [3, 4, 3, 19]);
+	});
+
+	test('only matches a short first line approximately when a single line fits', async () => {
+		const twice = await vscode.workspace.openTextDocument({ language: 'perl', content: 'sub a {\n  return;\n}\nsub b {\n  return;\n}' });
+		assert.strictEqual(locateError(twice, { code_chunk: 'return;\n  cleanup();' }), null);
+		assert.strictEqual(locateError(twice, { code_chunk: '}\nsub c {' }), null);
+
+		const once = await vscode.workspace.openTextDocument({ language: 'perl', content: 'sub a {\n  return;\n}' });
+		assert.deepStrictEqual(span(locateError(once, { code_chunk: 'return;\n  cleanup();' })), [1, 2, 2, 1]);
+	});
+
+	test('gives errors with the same chunk different occurrences', () => {
+		const { diagnostics, unlocated } = createErrorDiagnostics(doc, [
+			{ code_chunk: 'print total', message: 'first' },
+			{ code_chunk: 'print total', message: 'second' }
+		], 'test');
+		assert.deepStrictEqual(diagnostics.map(d => d.range.start.line), [5, 6]);
+		assert.deepStrictEqual(unlocated, []);
+	});
+
+	test('reports severity, code and source, and returns the errors it cannot place', () => {
+		const missing = { code_chunk: 'no such code', message: 'lost' };
+		const silent = { line: 1 };
+		const { diagnostics, unlocated } = createErrorDiagnostics(doc, [
+			{ line: 1, message: 'pragma', severity: 'Warn', code: 42 },
+			missing,
+			silent
+		], 'test');
+		assert.strictEqual(diagnostics.length, 1);
+		assert.strictEqual(diagnostics[0].severity, vscode.DiagnosticSeverity.Warning);
+		assert.strictEqual(diagnostics[0].code, '42');
+		assert.strictEqual(diagnostics[0].source, 'test');
+		assert.deepStrictEqual(unlocated, [missing, silent]);
+	});
+
+	test('maps severity names, defaulting to error', () => {
+		assert.strictEqual(toSeverity('information'), vscode.DiagnosticSeverity.Information);
+		assert.strictEqual(toSeverity('HINT'), vscode.DiagnosticSeverity.Hint);
+		assert.strictEqual(toSeverity('fatal'), vscode.DiagnosticSeverity.Error);
+		assert.strictEqual(toSeverity(undefined), vscode.DiagnosticSeverity.Error);
+	});
+});
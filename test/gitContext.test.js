@@ -0,0 +1,124 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GitContextCollector } = require('../collectors/gitContext');
+const { PerlCodebaseIndexer } = require('../indexers/codebaseIndexer');
+
+const MODULE = [
+	'package My::Mod;',
+	'sub old_sub {',
+	'  return 1;',
+	'}',
+	'sub fresh_sub {',
+	'  return 2;',
+	'}',
+	'1;'
+].join('\n');
+const LONG = Array.from({ length: 30 }, (_, i) => `line${i + 1}`).join('\n');
+
+suite('GitContextCollector', () => {
+	let root;
+
+	function git(...args) {
+		execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+			cwd: root,
+			env: { ...process.env, GIT_AUTHOR_DATE: '2020-01-01T00:00:00Z', GIT_COMMITTER_DATE: '2020-01-01T00:00:00Z' }
+		});
+	}
+
+	function write(file, content) {
+		fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+		fs.writeFileSync(path.join(root, file), content);
+	}
+
+	function open(file) {
+		return vscode.workspace.openTextDocument(vscode.Uri.file(path.join(root, file)));
+	}
+
+	// A repository committed in 2020, with uncommitted changes to fresh_sub and a few other files
+	suiteSetup(() => {
+		root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'git-context-')));
+		write('lib/My/Mod.pm', MODULE);
+		write('lib/Other.pm', 'package Other;\n1;\n');
+		write('script.pl', 'use My::Mod;\nprint 1;\n');
+		write('long.pl', LONG);
+		git('init', '-q');
+		git('add', '.');
+		git('commit', '-q', '-m', 'initial');
+
+		write('lib/My/Mod.pm', MODULE.replace('return 2;', 'return 3;'));
+		write('lib/Other.pm', 'package Other;\n2;\n');
+		write('script.pl', 'use My::Mod;\nprint 2;\n');
+		write('long.pl', LONG.replace('line2\n', 'changed2\n').replace('line28\n', 'changed28\n'));
+	});
+
+	suiteTeardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('splits the diff by file, keeping the document and the imported modules', async () => {
+		const collector = new GitContextCollector();
+		const diffs = await collector.getWorkingTreeDiff(await open('script.pl'), ['My::Mod']);
+		// lib/Other.pm changed too, but is not imported
+		assert.deepStrictEqual(diffs.map(d => d.module), [null, 'My::Mod']);
+		assert.match(diffs[0].diff, /^diff --git a\/script\.pl b\/script\.pl/);
+		assert.match(diffs[0].diff, /^\+print 2;$/m);
+		assert.match(diffs[1].diff, /^diff --git a\/lib\/My\/Mod\.pm b\/lib\/My\/Mod\.pm/);
+		assert.ok(!diffs[1].diff.includes('script.pl'));
+		assert.ok(diffs.every(d => !d.truncated));
+	});
+
+	test('truncates a long diff to the whole hunks that fit', async () => {
+		const collector = new GitContextCollector({ maxDiffLines: 14 });
+		const [diff] = await collector.getWorkingTreeDiff(await open('long.pl'), []);
+		assert.strictEqual(diff.truncated, true);
+		assert.strictEqual(diff.diff.match(/^@@/gm).length, 1);
+		assert.match(diff.diff, /^\+changed2$/m);
+		assert.ok(!diff.diff.includes('changed28'));
+	});
+
+	test('ranks subs by when their lines last changed', async () => {
+		const collector = new GitContextCollector();
+		const file = path.join(root, 'lib/My/Mod.pm');
+		const ranked = await collector.rankByRecency([
+			{ path: file, content: 'sub old_sub {\n  return 1;\n}', score: 0.3 },
+			{ path: file, content: 'sub fresh_sub {\n  return 3;\n}', score: 0.35 },
+			{ path: file, content: 'sub gone {\n}', score: 0.4 }
+		]);
+		assert.deepStrictEqual(ranked.map(r => r.content.split(' ')[1]), ['fresh_sub', 'old_sub', 'gone']);
+		// Uncommitted lines count as changed when the file was saved
+		assert.strictEqual(ranked[0].recency, 1);
+		assert.strictEqual(ranked[1].lastChanged, '2020-01-01T00:00:00.000Z');
+		assert.strictEqual(ranked[1].recency, 0);
+		assert.strictEqual(ranked[2].lastChanged, null);
+	});
+
+	test('leaves the context and the ranking alone when git is missing', async () => {
+		const collector = new GitContextCollector({ gitPath: path.join(root, 'no-such-git') });
+		assert.deepStrictEqual(await collector.getWorkingTreeDiff(await open('script.pl'), ['My::Mod']), []);
+		const results = [
+			{ path: path.join(root, 'lib/My/Mod.pm'), content: 'sub fresh_sub {\n  return 3;\n}', score: 0.35 },
+			{ path: path.join(root, 'lib/My/Mod.pm'), content: 'sub old_sub {\n  return 1;\n}', score: 0.4 }
+		];
+		const ranked = await collector.rankByRecency(results);
+		assert.deepStrictEqual(ranked.map(r => [r.score, r.lastChanged]), [[0.35, null], [0.4, null]]);
+	});
+
+	test('findRelevantCode keeps the similarity order when ranking by recency fails', async () => {
+		const similar = [{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }];
+		const logged = [];
+		const indexer = Object.create(PerlCodebaseIndexer.prototype);
+		indexer.vectorIndex = { findSimilarCode: async (comment, limit) => similar.slice(0, limit) };
+		indexer.gitContext = {
+			isEnabled: () => true,
+			rankByRecency: async () => { throw new Error('git timed out after 5000 ms'); }
+		};
+		indexer.logError = (message, err) => logged.push(err.message);
+
+		assert.deepStrictEqual((await indexer.findRelevantCode('# sum', 2)).map(r => r.name), ['a', 'b']);
+		assert.deepStrictEqual(logged, ['git timed out after 5000 ms']);
+	});
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { initTreeSitter } = require('../parsers/treeSitter');
+const { IncrementalErrorChecker } = require('../diagnostics/incrementalErrorCheck');
+
+const SOURCE = [
+	'package Shop;',
+	'use strict;',
+	'',
+	'sub price {',
+	'  my ($item) = @_;',
+	'  return $item->{price};',
+	'}',
+	'',
+	'sub total {',
+	'  my @items = @_;',
+	'  my $sum = 0;',
+	'  $sum += price($_) for @items;',
+	'  return $sum;',
+	'}',
+	'1;'
+].join('\n');
+
+// A checker whose backend records the code it is sent and reports `errors` for it
+function fakeChecker() {
+	const sent = [];
+	const checker = new IncrementalErrorChecker(async code => {
+		sent.push(code);
+		return checker.errors;
+	}, 'test');
+	checker.errors = [];
+	return { checker, sent };
+}
+
+async function replaceLine(doc, line, text) {
+	const edit = new vscode.WorkspaceEdit();
+	edit.replace(doc.uri, doc.lineAt(line).range, text);
+	await vscode.workspace.applyEdit(edit);
+}
+
+async function insertLine(doc, line, text) {
+	const edit = new vscode.WorkspaceEdit();
+	edit.insert(doc.uri, new vscode.Position(line, 0), `${text}\n`);
+	await vscode.workspace.applyEdit(edit);
+}
+
+suite('IncrementalErrorChecker', () => {
+	let doc;
+	setup(async () => {
+		initTreeSitter();
+		doc = await vscode.workspace.openTextDocument({ language: 'perl', content: SOURCE });
+	});
+
+	test('sends only the subs that changed since the last check', async () => {
+		const { checker, sent } = fakeChecker();
+		const first = await checker.check(doc);
+		assert.strictEqual(sent[0], SOURCE);
+		assert.deepStrictEqual([first.sentLines, first.skipped], [15, 0]);
+
+		await replaceLine(doc, 11, '  $sum += price($_) * 2 for @items;');
+		const second = await checker.check(doc);
+		assert.strictEqual(sent[1], [
+			'package Shop;',
+			'use strict;',
+			'',
+			'sub price { ... }',
+			'',
+			'sub total {',
+			'  my @items = @_;',
+			'  my $sum = 0;',
+			'  $sum += price($_) * 2 for @items;',
+			'  return $sum;',
+			'}',
+			'1;'
+		].join('\n'));
+		assert.deepStrictEqual([second.sentLines, second.skipped], [12, 1]);
+	});
+
+	test('maps reported lines past collapsed subs back to document lines', async () => {
+		const { checker } = fakeChecker();
+		await checker.check(doc);
+		await replaceLine(doc, 11, '  $sum += price($_) * 2 for @items;');
+
+		// Lines 2 and 9 of the code sent: `use strict;` and `$sum += ...` in the changed sub
+		checker.errors = [{ line: 2, message: 'pragma' }, { line: 9, message: 'doubled' }];
+		const { diagnostics, unlocated } = await checker.check(doc);
+		const lines = diagnostics.map(d => [d.message, d.range.start.line, d.range.start.character]);
+		assert.deepStrictEqual(lines, [['pragma', 1, 0], ['doubled', 11, 2]]);
+		assert.deepStrictEqual(unlocated, []);
+
+		// A line added above moves the kept diagnostics along with the code
+		checker.errors = [];
+		await insertLine(doc, 1, 'use warnings;');
+		const moved = await checker.check(doc);
+		assert.deepStrictEqual(moved.diagnostics.map(d => [d.message, d.range.start.line]), [['doubled', 12]]);
+		assert.strictEqual(moved.skipped, 2);
+	});
+
+	test('reports an error on a collapsed sub as unlocated', async () => {
+		const { checker } = fakeChecker();
+		await checker.check(doc);
+		await replaceLine(doc, 11, '  $sum += price($_) * 2 for @items;');
+
+		// Line 4 of the code sent is the placeholder of the unchanged `price`
+		checker.errors = [{ line: 4, message: 'in price' }];
+		const { diagnostics, unlocated } = await checker.check(doc);
+		assert.deepStrictEqual(diagnostics, []);
+		assert.deepStrictEqual(unlocated, [{ message: 'in price', code_chunk: 'sub price { ... }' }]);
+	});
+
+	test('skips an unchanged document and keeps its diagnostics', async () => {
+		const { checker, sent } = fakeChecker();
+		checker.errors = [{ line: 6, message: 'hash access' }, { line: 15, message: 'true value' }];
+		await checker.check(doc);
+
+		checker.errors = [];
+		const again = await checker.check(doc);
+		assert.strictEqual(sent.length, 1);
+		assert.deepStrictEqual([again.sentLines, again.skipped], [0, 2]);
+		// The code below the subs keeps its diagnostic on the same line
+		assert.deepStrictEqual(again.diagnostics.map(d => [d.message, d.range.start.line]), [
+			['true value', 14], ['hash access', 5]
+		]);
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const path = require('path');
+const vscode = require('vscode');
+const { toFinding, toJsonReport, toSarifReport } = require('../diagnostics/scanReport');
+
+function diagnostic(range, message, severity, source, code) {
+	const result = new vscode.Diagnostic(range, message, severity);
+	result.source = source;
+	if (code !== undefined) result.code = code;
+	return result;
+}
+
+const SYNTAX = diagnostic(new vscode.Range(1, 2, 1, 8), 'syntax error', vscode.DiagnosticSeverity.Error, 'perl -c');
+const CRITIC = diagnostic(new vscode.Range(4, 0, 5, 3), 'Mixed-case sub name', vscode.DiagnosticSeverity.Hint, 'perlcritic',
+	{ value: 'NamingConventions', target: vscode.Uri.parse('https://example.com/naming') });
+
+const SCAN = {
+	root: '/w',
+	checks: ['perl -c', 'perlcritic', 'podchecker'],
+	cancelled: false,
+	finishedAt: new Date('2026-01-02T03:04:05Z'),
+	files: [
+		{ uri: vscode.Uri.file('/w/lib/My/App.pm'), diagnostics: [SYNTAX, CRITIC], failures: [] },
+		{ uri: vscode.Uri.file('/w/script.pl'), diagnostics: [], failures: [{ name: 'perlcritic', error: new Error('timed out') }] }
+	]
+};
+
+suite('scanReport', () => {
+	test('turns diagnostics into findings with 1-based positions', () => {
+		assert.deepStrictEqual(toFinding(SYNTAX), {
+			source: 'perl -c', severity: 'error', message: 'syntax error', code: undefined, helpUri: undefined,
+			line: 2, column: 3, endLine: 2, endColumn: 9
+		});
+		const critic = toFinding(CRITIC);
+		assert.strictEqual(critic.severity, 'hint');
+		assert.strictEqual(critic.code, 'NamingConventions');
+		assert.strictEqual(critic.helpUri, 'https://example.com/naming');
+	});
+
+	test('lists the files with findings and the checks that failed in the JSON report', () => {
+		const report = toJsonReport(SCAN);
+		assert.strictEqual(report.generatedAt, '2026-01-02T03:04:05.000Z');
+		assert.strictEqual(report.filesScanned, 2);
+		assert.deepStrictEqual(report.files.map(f => [f.path, f.findings.length]), [[path.join('lib', 'My', 'App.pm'), 2]]);
+		assert.deepStrictEqual(report.failures, [{ path: 'script.pl', check: 'perlcritic', message: 'timed out' }]);
+	});
+
+	test('writes one SARIF run per check, with rules and relative locations', () => {
+		const sarif = toSarifReport(SCAN);
+		assert.strictEqual(sarif.version, '2.1.0');
+		assert.deepStrictEqual(sarif.runs.map(run => [run.tool.driver.name, run.results.length]), [
+			['perl -c', 1], ['perlcritic', 1], ['podchecker', 0]
+		]);
+
+		const [syntax, critic] = sarif.runs;
+		// Findings without a code are filed under their check
+		assert.deepStrictEqual(syntax.tool.driver.rules, [{ id: 'perl -c' }]);
+		assert.deepStrictEqual(critic.tool.driver.rules, [{ id: 'NamingConventions', helpUri: 'https://example.com/naming' }]);
+		assert.strictEqual(critic.results[0].level, 'note');
+		assert.deepStrictEqual(critic.results[0].locations[0].physicalLocation, {
+			artifactLocation: { uri: 'lib/My/App.pm', uriBaseId: '%SRCROOT%' },
+			region: { startLine: 5, startColumn: 1, endLine: 6, endColumn: 4 }
+		});
+		assert.strictEqual(critic.originalUriBaseIds['%SRCROOT%'].uri, 'file:///w/');
+	});
+});
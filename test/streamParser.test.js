@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const { readStreamEvents } = require('../utils/streamParser');
+
+// Reads all events from a stream delivering the given chunks
+async function events(chunks) {
+	const stream = Readable.from(chunks.map(chunk => Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+	const result = [];
+	for await (const event of readStreamEvents(stream)) result.push(event);
+	return result;
+}
+
+suite('readStreamEvents', () => {
+	test('reads server-sent events split across chunks', async () => {
+		const result = await events(['data: {"text":"my $x', '"}\n\ndata: {"text":"= 1;"}\n', '\n']);
+		assert.deepStrictEqual(result, [{ text: 'my $x' }, { text: '= 1;' }]);
+	});
+
+	test('reads newline-delimited JSON, including a last line without a newline', async () => {
+		const result = await events(['{"a":1}\n{"a":', '2}\r\n{"a":3}']);
+		assert.deepStrictEqual(result, [{ a: 1 }, { a: 2 }, { a: 3 }]);
+	});
+
+	test('keeps multi-byte characters split between chunks', async () => {
+		const bytes = Buffer.from('data: {"text":"café ↔"}\n');
+		const result = await events([bytes.subarray(0, 19), bytes.subarray(19, 22), bytes.subarray(22)]);
+		assert.deepStrictEqual(result, [{ text: 'café ↔' }]);
+	});
+
+	test('skips comments, other fields and malformed lines', async () => {
+		const result = await events([': keep-alive\nevent: delta\nid: 7\nretry: 100\ndata: {oops\ndata: {"ok":true}\n']);
+		assert.deepStrictEqual(result, [{ ok: true }]);
+	});
+
+	test('stops at [DONE]', async () => {
+		const result = await events(['data: {"n":1}\ndata: [DONE]\ndata: {"n":2}\n']);
+		assert.deepStrictEqual(result, [{ n: 1 }]);
+	});
+});
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { applySuggestion } = require('../commands/suggestionActions');
+
+suite('applySuggestion', () => {
+	// A suggestion generated for `text` at `range` of the document
+	function item(doc, range, text) {
+		return { suggestion: 'my $z = 3;', source: { uri: doc.uri, range, text, kind: 'selection' } };
+	}
+
+	test('follows the selected code when edits above it moved it', async () => {
+		const doc = await vscode.workspace.openTextDocument({ language: 'perl', content: '# moved\nmy $x = 1;\n' });
+		assert.strictEqual(await applySuggestion(item(doc, new vscode.Range(0, 0, 0, 10), 'my $x = 1;'), 'replace'), true);
+		assert.strictEqual(doc.getText(), '# moved\nmy $z = 3;\n');
+	});
+
+	test('does not apply to the current selection when the selected code is gone', async () => {
+		const doc = await vscode.workspace.openTextDocument({ language: 'perl', content: 'my $y = 2;\nprint $y;\n' });
+		const editor = await vscode.window.showTextDocument(doc);
+		editor.selection = new vscode.Selection(1, 0, 1, 9);
+		assert.strictEqual(await applySuggestion(item(doc, new vscode.Range(0, 0, 0, 10), 'my $x = 1;'), 'replace'), false);
+		assert.strictEqual(doc.getText(), 'my $y = 2;\nprint $y;\n');
+	});
+});
@@ -0,0 +1,57 @@
+/**
+ * Helpers for propagating VS Code cancellation tokens through async work
+ * and into AbortSignal-based APIs such as axios.
+ */
+
+class CancellationError extends Error {
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancellationError';
+  }
+}
+
+/**
+ * Throws a CancellationError if the token has been cancelled
+ * @param {vscode.CancellationToken} [token] - Token to check; a missing token never cancels
+ */
+function throwIfCancelled(token) {
+  if (token && token.isCancellationRequested) {
+    throw new CancellationError();
+  }
+}
+
+/**
+ * Checks whether an error was caused by cancellation rather than a failure
+ * @param {Error} err - The caught error
+ * @returns {boolean}
+ */
+function isCancellationError(err) {
+  if (!err) return false;
+  // axios, fetch/AbortController, ours and vscode.CancellationError respectively
+  return ['CanceledError', 'AbortError', 'CancellationError', 'Canceled'].includes(err.name);
+}
+
+/**
+ * Creates an AbortSignal that aborts when the token is cancelled
+ * @param {vscode.CancellationToken} [token] - Source token
+ * @returns {{signal: AbortSignal, dispose: () => void}} Signal plus a disposer for the listener
+ */
+function toAbortSignal(token) {
+  const controller = new AbortController();
+  if (!token) {
+    return { signal: controller.signal, dispose() {} };
+  }
+  if (token.isCancellationRequested) {
+    controller.abort();
+    return { signal: controller.signal, dispose() {} };
+  }
+  const listener = token.onCancellationRequested(() => controller.abort());
+  return { signal: controller.signal, dispose: () => listener.dispose() };
+}
+
+module.exports = {
+  CancellationError,
+  throwIfCancelled,
+  isCancellationError,
+  toAbortSignal,
+};
@@ -0,0 +1,82 @@
+/**
+ * Minimal Perl syntax highlighter for webviews. Produces escaped HTML with
+ * `<span class="tok-*">` wrappers; colours come from the webview stylesheet.
+ */
+
+const KEYWORDS = new Set([
+  'my', 'our', 'local', 'state', 'sub', 'package', 'use', 'no', 'require', 'return',
+  'if', 'elsif', 'else', 'unless', 'while', 'until', 'for', 'foreach', 'do',
+  'last', 'next', 'redo', 'and', 'or', 'not', 'xor', 'eq', 'ne', 'lt', 'gt', 'le',
+  'ge', 'cmp', 'BEGIN', 'END', '__PACKAGE__', '__DATA__', '__END__'
+]);
+
+const BUILTINS = new Set([
+  'print', 'printf', 'say', 'shift', 'unshift', 'push', 'pop', 'splice', 'bless',
+  'die', 'warn', 'eval', 'defined', 'undef', 'ref', 'scalar', 'keys', 'values',
+  'each', 'exists', 'delete', 'join', 'split', 'map', 'grep', 'sort', 'reverse',
+  'open', 'close', 'binmode', 'chomp', 'chop', 'length', 'substr', 'index', 'lc',
+  'uc', 'lcfirst', 'ucfirst', 'sprintf', 'wantarray', 'exit'
+]);
+
+// Alternatives are tried in order; the first matching group decides the token type
+const TOKEN_PATTERN = new RegExp([
+  /(^=[a-zA-Z][\s\S]*?(?:^=cut\b.*$|(?![\s\S])))/.source,        // 1 POD
+  /(#.*$)/.source,                                               // 2 comment
+  /("(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*')/.source,       // 3 string
+  /(\bq[qwr]?\s*(?:\((?:[^)\\]|\\.)*\)|\{(?:[^}\\]|\\.)*\}|\[(?:[^\]\\]|\\.)*\]|\/(?:[^/\\]|\\.)*\/))/.source, // 4 quote-like
+  /((?:\b(?:m|s|tr|y)|(?<=[=!]~\s*))\/(?:[^/\\\n]|\\.)*\/(?:(?:[^/\\\n]|\\.)*\/)?[a-z]*)/.source, // 5 regex
+  /([$@%&]#?(?:\{\^?\w+\}|\^\w|[\w:]*\w|[!@/\\,;.0-9_]))/.source,  // 6 variable
+  /(\b(?:0x[0-9a-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b)/.source, // 7 number
+  /(\b[A-Za-z_]\w*(?:::\w+)*\b)/.source                          // 8 word
+].join('|'), 'gm');
+
+function escapeHtml(str) {
+  return str.replace(/[&<>"']/g, tag => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;',
+    '"': '&quot;', "'": '&#39;'
+  }[tag]));
+}
+
+function span(type, text) {
+  return `<span class="tok-${type}">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Highlights Perl source
+ * @param {string} code - Perl source
+ * @returns {string} HTML safe to place inside a `<pre>`
+ */
+function highlightPerl(code) {
+  let html = '';
+  let last = 0;
+  let previousWord = '';
+  TOKEN_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = TOKEN_PATTERN.exec(code)) !== null) {
+    if (match[0] === '') {
+      TOKEN_PATTERN.lastIndex++;
+      continue;
+    }
+    html += escapeHtml(code.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const [text, pod, comment, string, quoteLike, regex, variable, number, word] = match;
+    if (pod || comment) html += span('comment', text);
+    else if (string || quoteLike) html += span('string', text);
+    else if (regex) html += span('regex', text);
+    else if (variable) html += span('variable', text);
+    else if (number) html += span('number', text);
+    else if (word) {
+      if (KEYWORDS.has(word)) html += span('keyword', text);
+      else if (previousWord === 'sub' || BUILTINS.has(word)) html += span('function', text);
+      else if (word.includes('::') || previousWord === 'package') html += span('type', text);
+      else html += escapeHtml(text);
+    }
+    previousWord = word || '';
+  }
+
+  return html + escapeHtml(code.slice(last));
+}
+
+module.exports = { escapeHtml, highlightPerl };
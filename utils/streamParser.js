@@ -0,0 +1,49 @@
+const { StringDecoder } = require('string_decoder');
+
+const DONE = Symbol('done');
+
+/**
+ * Parses one line of a streamed response. Accepts server-sent events
+ * (`data: {...}`) and newline-delimited JSON.
+ * @param {string} line - A single trimmed line
+ * @returns {object|symbol|null} Parsed event, DONE, or null for lines to skip
+ */
+function parseLine(line) {
+  if (!line || line.startsWith(':')) return null;
+  if (/^(event|id|retry):/.test(line)) return null;
+
+  const payload = line.startsWith('data:') ? line.slice(5).trim() : line;
+  if (payload === '[DONE]') return DONE;
+  try {
+    return JSON.parse(payload);
+  } catch {
+    console.error(`[StreamParser] Skipping malformed stream line: ${payload.slice(0, 100)}`);
+    return null;
+  }
+}
+
+/**
+ * Reads JSON events from a streamed HTTP response body
+ * @param {NodeJS.ReadableStream} stream - Response body (axios `responseType: 'stream'`)
+ * @returns {AsyncGenerator<object>} The parsed events, in order
+ */
+async function* readStreamEvents(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const event = parseLine(buffer.slice(0, newline).trim());
+      buffer = buffer.slice(newline + 1);
+      if (event === DONE) return;
+      if (event) yield event;
+    }
+  }
+
+  const event = parseLine((buffer + decoder.end()).trim());
+  if (event && event !== DONE) yield event;
+}
+
+module.exports = { readStreamEvents };
@@ -0,0 +1,20 @@
+function throttle(fn, interval) {
+    let last = 0;
+    let timer = null;
+    return function(...args) {
+      const remaining = interval - (Date.now() - last);
+      clearTimeout(timer);
+      if (remaining <= 0) {
+        last = Date.now();
+        fn(...args);
+      } else {
+        // Make sure the final call in a burst still goes through
+        timer = setTimeout(() => {
+          last = Date.now();
+          fn(...args);
+        }, remaining);
+      }
+    };
+  }
+  
+  module.exports = throttle;
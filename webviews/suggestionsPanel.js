@@ -0,0 +1,154 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { escapeHtml, highlightPerl } = require('../utils/perlHighlighter');
+const { applySuggestion } = require('../commands/suggestionActions');
+
+/**
+ * Webview view listing the alternative suggestions with highlighted code,
+ * the backend's explanation and apply/copy buttons. It shows the same
+ * suggestions as the tree view in the Perl Suggestions container.
+ */
+class SuggestionsPanelProvider {
+  static viewType = 'perlCodeGen.suggestionsPanel';
+
+  /**
+   * @param {object} dependencies - logError, and onApplied(item) called after a suggestion is applied
+   */
+  constructor({ logError, onApplied = () => {} }) {
+    this.logError = logError;
+    this.onApplied = onApplied;
+    this.view = null;
+    this.suggestions = [];
+    this.source = null;
+  }
+
+  resolveWebviewView(webviewView) {
+    this.view = webviewView;
+    webviewView.webview.options = { enableScripts: true };
+    webviewView.webview.html = this._getHtml();
+
+    webviewView.webview.onDidReceiveMessage(message => this._handleMessage(message));
+    // Hidden webviews lose their content; render the current state again when shown
+    webviewView.onDidChangeVisibility(() => {
+      if (webviewView.visible) webviewView.webview.html = this._getHtml();
+    });
+    webviewView.onDidDispose(() => {
+      this.view = null;
+    });
+  }
+
+  /**
+   * Shows new suggestions
+   * @param {Array<string|{code: string, explanation?: string}>} suggestions - Code or alternatives
+   * @param {object} [source] - Where the suggestions apply, as for AlternativeSuggestionsProvider
+   */
+  refresh(suggestions, source = null) {
+    this.suggestions = suggestions.map(item => (typeof item === 'string' ? { code: item } : item));
+    this.source = source;
+    if (this.view && this.view.visible) {
+      this.view.webview.postMessage({ type: 'update', html: this._renderSuggestions() });
+    }
+  }
+
+  async _handleMessage(message) {
+    const suggestion = this.suggestions[message.index];
+    if (!suggestion) return;
+
+    try {
+      if (message.type === 'copy') {
+        await vscode.env.clipboard.writeText(suggestion.code);
+        vscode.window.showInformationMessage('Suggestion copied to clipboard!');
+      } else if (message.type === 'replace' || message.type === 'insertBelow') {
+        if (!this.source) return;
+        const item = {
+          suggestion: suggestion.code,
+          source: this.source,
+          index: message.index,
+          label: `Suggestion ${message.index + 1}`
+        };
+        if (await applySuggestion(item, message.type)) this.onApplied(item);
+      }
+    } catch (error) {
+      this.logError('Error handling suggestions panel action:', error);
+      vscode.window.showErrorMessage(`Failed to apply suggestion: ${error.message}`);
+    }
+  }
+
+  _renderSuggestions() {
+    if (this.suggestions.length === 0) {
+      return '<p class="empty">Select Perl code to see alternative implementations.</p>';
+    }
+    if (this.suggestions.length === 1 && this.suggestions[0].code.startsWith('Error:')) {
+      return `<p class="error">${escapeHtml(this.suggestions[0].code)}</p>`;
+    }
+
+    const canReplace = this.source && this.source.kind === 'selection';
+    return this.suggestions
+      .map((suggestion, index) => {
+        const buttons = [];
+        if (canReplace) buttons.push(`<button data-action="replace" data-index="${index}">Replace Selection</button>`);
+        if (this.source) buttons.push(`<button data-action="insertBelow" data-index="${index}">Insert Below</button>`);
+        buttons.push(`<button data-action="copy" data-index="${index}" class="secondary">Copy</button>`);
+
+        const explanation = suggestion.explanation
+          ? `<p class="explanation">${escapeHtml(suggestion.explanation)}</p>`
+          : '';
+        return `<section class="suggestion">
+          <h3>Suggestion ${index + 1}</h3>
+          ${explanation}
+          <pre><code>${highlightPerl(suggestion.code)}</code></pre>
+          <div class="actions">${buttons.join('')}</div>
+        </section>`;
+      })
+      .join('');
+  }
+
+  _getHtml() {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+  <style nonce="${nonce}">
+    body { padding: 0 8px; font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+    .suggestion { border-bottom: 1px solid var(--vscode-panel-border); padding: 8px 0; }
+    h3 { margin: 0 0 4px; font-size: 1em; }
+    .explanation { margin: 0 0 6px; color: var(--vscode-descriptionForeground); }
+    pre { margin: 0; padding: 6px; overflow-x: auto; background: var(--vscode-textCodeBlock-background); }
+    code { font-family: var(--vscode-editor-font-family); font-size: var(--vscode-editor-font-size); }
+    .actions { margin-top: 6px; display: flex; gap: 4px; flex-wrap: wrap; }
+    button { border: none; padding: 2px 8px; cursor: pointer; color: var(--vscode-button-foreground); background: var(--vscode-button-background); }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+    button.secondary { color: var(--vscode-button-secondaryForeground); background: var(--vscode-button-secondaryBackground); }
+    .empty { color: var(--vscode-descriptionForeground); }
+    .error { color: var(--vscode-errorForeground); white-space: pre-wrap; }
+    .tok-keyword { color: var(--vscode-symbolIcon-keywordForeground); }
+    .tok-function { color: var(--vscode-symbolIcon-functionForeground); }
+    .tok-type { color: var(--vscode-symbolIcon-classForeground); }
+    .tok-variable { color: var(--vscode-symbolIcon-variableForeground); }
+    .tok-string, .tok-regex { color: var(--vscode-debugTokenExpression-string); }
+    .tok-number { color: var(--vscode-debugTokenExpression-number); }
+    .tok-comment { color: var(--vscode-descriptionForeground); font-style: italic; }
+  </style>
+</head>
+<body>
+  <div id="suggestions">${this._renderSuggestions()}</div>
+  <script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const container = document.getElementById('suggestions');
+    container.addEventListener('click', event => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      vscode.postMessage({ type: button.dataset.action, index: Number(button.dataset.index) });
+    });
+    window.addEventListener('message', event => {
+      if (event.data.type === 'update') container.innerHTML = event.data.html;
+    });
+  </script>
+</body>
+</html>`;
+  }
+}
+
+module.exports = { SuggestionsPanelProvider };